@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+import { resolve } from 'path'
+import { pathToFileURL } from 'url'
+import { parseArgs } from 'util'
+
+const usage = `Usage: lifecycling graph <module> [options]
+
+Prints the transition diagram of a lifecycle or state machine exported by a module.
+
+Options:
+  --format <format>  mermaid or dot, defaults to mermaid
+  --export <name>    the export to render, defaults to the default export
+  --highlight        highlight the current state and the path taken
+  --help             show this message
+`
+
+/**
+ * Runs the command line interface.
+ * @param {string[]} args - The command line arguments, without the node executable and script
+ * @returns {Promise<void>}
+ */
+async function main (args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'mermaid' },
+            export: { type: 'string', default: 'default' },
+            highlight: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false },
+        },
+    })
+
+    const [command, modulePath] = positionals
+
+    if (values.help) {
+        process.stdout.write(usage)
+        return
+    }
+
+    if (command !== 'graph' || !modulePath) {
+        throw new Error(usage)
+    }
+
+    if (!['mermaid', 'dot'].includes(values.format)) {
+        throw new Error(`Unknown format: ${values.format}`)
+    }
+
+    const module = await import(pathToFileURL(resolve(modulePath)).href)
+    const exported = module[values.export]
+
+    if (typeof exported?.toMermaid !== 'function' || typeof exported?.toDot !== 'function') {
+        throw new Error(`Export ${values.export} of ${modulePath} is not a lifecycle or state machine`)
+    }
+
+    const diagram = values.format === 'dot'
+        ? exported.toDot({ highlight: values.highlight })
+        : exported.toMermaid({ highlight: values.highlight })
+
+    process.stdout.write(diagram)
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    process.stderr.write(`${error.message}\n`)
+    process.exitCode = 1
+})
@@ -24,8 +24,8 @@ const lifecycle = new Lifecycle({
 })
 
 // Register for transition notifications
-lifecycle.on((transition) => {
-    console.log(`Database state changed to: ${transition}`)
+lifecycle.on((event) => {
+    console.log(`Database state changed from ${event.from} to ${event.to}`)
 })
 
 // start opening without awaiting the `opened` state
@@ -0,0 +1,155 @@
+/**
+ * Base class for errors thrown by lifecycles and state machines.
+ * Carries the lifecycle's name and the transition that went wrong, so handlers can match on fields instead of messages.
+ */
+export class LifecycleError extends Error {
+    /** @type {string|null} The name of the lifecycle or state machine, if it was given one */
+    lifecycle
+    /** @type {string|null} The state the transition started from */
+    from
+    /** @type {string|null} The state the transition was heading to */
+    to
+    /** @type {string|null} The name of the operation involved, if any */
+    operation
+
+    /**
+     * Creates a new lifecycle error.
+     * @param {string} message - A description of what went wrong
+     * @param {LifecycleErrorDetails} [details] - Structured details about the transition
+     */
+    constructor (message, details = {}) {
+        super(message, details.cause === undefined ? undefined : { cause: details.cause })
+        this.name = 'LifecycleError'
+        this.lifecycle = details.lifecycle ?? null
+        this.from = details.from ?? null
+        this.to = details.to ?? null
+        this.operation = details.operation ?? null
+    }
+}
+
+/**
+ * Thrown when a transition isn't allowed: by `StateMachine#transition()` when the map or a guard refuses it,
+ * and by lifecycles in strict mode when an operation isn't allowed from the current state.
+ */
+export class InvalidTransitionError extends LifecycleError {
+    /** @type {string|null} Why the transition was refused */
+    reason
+    /** @type {string[]|null} The names of the operations allowed from the state, for lifecycle operations */
+    allowedOperations
+
+    /**
+     * Creates a new invalid transition error.
+     * @param {string} message - A description of the refused transition
+     * @param {LifecycleErrorDetails & { reason?: string, allowedOperations?: string[] }} [details] - Structured details about the transition
+     */
+    constructor (message, details = {}) {
+        super(message, details)
+        this.name = 'InvalidTransitionError'
+        this.reason = details.reason ?? null
+        this.allowedOperations = details.allowedOperations ?? null
+    }
+}
+
+/**
+ * Thrown when a lifecycle is asked to run an operation it doesn't define.
+ */
+export class UnknownOperationError extends LifecycleError {
+    /**
+     * Creates a new unknown operation error.
+     * @param {string} message - A description of the unknown operation
+     * @param {LifecycleErrorDetails} [details] - Structured details about the call
+     */
+    constructor (message, details = {}) {
+        super(message, details)
+        this.name = 'UnknownOperationError'
+    }
+}
+
+/**
+ * Thrown when an operation's handler fails. The handler's error is kept in `cause`.
+ */
+export class OperationFailedError extends LifecycleError {
+    /**
+     * Creates a new operation failed error.
+     * @param {string} message - A description of the failure
+     * @param {LifecycleErrorDetails} [details] - Structured details about the operation, with the handler's error as `cause`
+     */
+    constructor (message, details = {}) {
+        super(message, details)
+        this.name = 'OperationFailedError'
+    }
+}
+
+/**
+ * Thrown when a lifecycle operation doesn't settle within its timeout, or a wait for a state expires.
+ * The operation keeps running in the background, but its result is ignored.
+ */
+export class TimeoutError extends LifecycleError {
+    /** @type {number} The timeout that expired, in milliseconds */
+    timeout
+
+    /**
+     * Creates a new timeout error.
+     * @param {string} message - A description of what timed out
+     * @param {LifecycleErrorDetails & { timeout?: number }} [details] - Structured details about the timeout
+     */
+    constructor (message, details = {}) {
+        super(message, details)
+        this.name = 'TimeoutError'
+        this.timeout = details.timeout
+    }
+}
+
+/**
+ * @typedef {Object} LifecycleErrorDetails
+ * @property {string|null} [lifecycle] - The name of the lifecycle or state machine
+ * @property {string|null} [from] - The state the transition started from
+ * @property {string|null} [to] - The state the transition was heading to
+ * @property {string|null} [operation] - The name of the operation involved
+ * @property {any} [cause] - The error that caused this one
+ */
+
+/**
+ * Thrown when a transition map has problems, listing every problem found.
+ */
+export class TransitionMapError extends LifecycleError {
+    /** @type {TransitionMapProblem[]} Every problem found in the transition map */
+    problems
+
+    /**
+     * Creates a new transition map error.
+     * @param {TransitionMapProblem[]} problems - Every problem found in the transition map
+     * @param {LifecycleErrorDetails} [details] - The name of the lifecycle or state machine
+     */
+    constructor (problems, details = {}) {
+        super(`Invalid transition map:\n${problems.map((problem) => `- ${problem.message}`).join('\n')}`, details)
+        this.name = 'TransitionMapError'
+        this.problems = problems
+    }
+}
+
+/**
+ * Thrown when the dependencies of a lifecycle group form a cycle.
+ */
+export class DependencyCycleError extends LifecycleError {
+    /** @type {string[]} The member names along the cycle, starting and ending with the same member */
+    cycle
+
+    /**
+     * Creates a new dependency cycle error.
+     * @param {string[]} cycle - The member names along the cycle, starting and ending with the same member
+     */
+    constructor (cycle) {
+        super(`Dependency cycle: ${cycle.join(' -> ')}`)
+        this.name = 'DependencyCycleError'
+        this.cycle = cycle
+    }
+}
+
+/**
+ * @typedef {Object} TransitionMapProblem
+ * @property {'missing-init'|'invalid-targets'|'unknown-target'|'unreachable'|'no-terminal-path'} code - What kind of problem it is
+ * @property {string|null} state - The state with the problem, if any
+ * @property {string|null} target - The target state with the problem, for unknown targets
+ * @property {string} message - A description of the problem
+ */
@@ -0,0 +1,147 @@
+/**
+ * Renders a transition map as a Mermaid `stateDiagram-v2`.
+ *
+ * Starts at 'init' and ends at every state without outgoing transitions.
+ *
+ * @param {Object<string, string[]>} transitions - A map of states to arrays of allowed next states
+ * @param {GraphOptions} [options] - What to label and highlight
+ * @returns {string} The Mermaid source
+ * @example
+ * toMermaid({ init: ['running'], running: ['done'], done: [] }, { state: 'running' })
+ */
+export function toMermaid (transitions, options = {}) {
+    const { state, path = [], labels = {} } = options
+    const lines = ['stateDiagram-v2']
+
+    if (transitions.init) {
+        lines.push('    [*] --> init')
+    }
+
+    for (const [from, to, label] of edges(transitions, labels)) {
+        lines.push(`    ${from} --> ${to}${label ? `: ${label}` : ''}`)
+    }
+
+    for (const terminal of terminals(transitions)) {
+        lines.push(`    ${terminal} --> [*]`)
+    }
+
+    const visited = visitedStates(path).filter((name) => name !== state)
+
+    if (visited.length > 0) {
+        lines.push('    classDef visited fill:#e8f0fe,stroke:#1a73e8')
+        lines.push(`    class ${visited.join(',')} visited`)
+    }
+
+    if (state) {
+        lines.push('    classDef current fill:#1a73e8,color:#fff,stroke:#1a73e8')
+        lines.push(`    class ${state} current`)
+    }
+
+    return lines.join('\n') + '\n'
+}
+
+/**
+ * Renders a transition map as a Graphviz DOT digraph.
+ *
+ * Transitions along the path are drawn bold, and the current state is filled.
+ *
+ * @param {Object<string, string[]>} transitions - A map of states to arrays of allowed next states
+ * @param {GraphOptions & { name?: string }} [options] - What to label and highlight, and the graph name
+ * @returns {string} The DOT source
+ * @example
+ * toDot({ init: ['running'], running: ['done'], done: [] }, { path: ['init', 'running'] })
+ */
+export function toDot (transitions, options = {}) {
+    const { state, path = [], labels = {}, name = 'lifecycle' } = options
+    const taken = new Set(steps(path).map(([from, to]) => `${from}\u0000${to}`))
+    const visited = new Set(visitedStates(path))
+
+    const lines = [
+        `digraph ${quote(name)} {`,
+        '    rankdir=LR',
+        '    node [shape=box, style=rounded]',
+    ]
+
+    for (const node of Object.keys(transitions)) {
+        if (node === state) {
+            lines.push(`    ${quote(node)} [style="rounded,filled", fillcolor="#1a73e8", fontcolor="#ffffff"]`)
+        } else if (visited.has(node)) {
+            lines.push(`    ${quote(node)} [style="rounded,filled", fillcolor="#e8f0fe"]`)
+        } else {
+            lines.push(`    ${quote(node)}`)
+        }
+    }
+
+    for (const [from, to, label] of edges(transitions, labels)) {
+        const attributes = []
+
+        if (label) {
+            attributes.push(`label=${quote(label)}`)
+        }
+
+        if (taken.has(`${from}\u0000${to}`)) {
+            attributes.push('color="#1a73e8"', 'penwidth=2')
+        }
+
+        lines.push(`    ${quote(from)} -> ${quote(to)}${attributes.length ? ` [${attributes.join(', ')}]` : ''}`)
+    }
+
+    lines.push('}')
+
+    return lines.join('\n') + '\n'
+}
+
+/**
+ * @typedef {Object} GraphOptions
+ * @property {string} [state] - The state to highlight as current
+ * @property {string[]} [path] - The states visited, in order, to highlight as the path taken
+ * @property {Object<string, Object<string, string>>} [labels] - Transition labels keyed by source state, then target state
+ */
+
+/**
+ * Lists every transition in the map with its label.
+ * @param {Object<string, string[]>} transitions - A map of states to arrays of allowed next states
+ * @param {Object<string, Object<string, string>>} labels - Transition labels keyed by source state, then target state
+ * @returns {Array<[string, string, string|undefined]>} The source, target and label of each transition
+ */
+function edges (transitions, labels) {
+    return Object.entries(transitions).flatMap(([from, targets]) => {
+        return targets.map((to) => /** @type {[string, string, string|undefined]} */ ([from, to, labels[from]?.[to]]))
+    })
+}
+
+/**
+ * Lists the states without outgoing transitions.
+ * @param {Object<string, string[]>} transitions - A map of states to arrays of allowed next states
+ * @returns {string[]} The terminal states
+ */
+function terminals (transitions) {
+    return Object.keys(transitions).filter((name) => transitions[name].length === 0)
+}
+
+/**
+ * Lists each distinct state in a path, in the order first visited.
+ * @param {string[]} path - The states visited, in order
+ * @returns {string[]} The distinct states
+ */
+function visitedStates (path) {
+    return [...new Set(path)]
+}
+
+/**
+ * Pairs each state in a path with the state visited after it.
+ * @param {string[]} path - The states visited, in order
+ * @returns {Array<[string, string]>} The transitions taken
+ */
+function steps (path) {
+    return path.slice(1).map((to, index) => /** @type {[string, string]} */ ([path[index], to]))
+}
+
+/**
+ * Quotes an identifier for DOT.
+ * @param {string} value - The identifier
+ * @returns {string} The quoted identifier
+ */
+function quote (value) {
+    return `"${value.replace(/["\\]/g, '\\$&')}"`
+}
@@ -0,0 +1,270 @@
+import { DependencyCycleError, LifecycleError } from './errors.js'
+
+/**
+ * Opens, closes, suspends and resumes many lifecycles in dependency order.
+ *
+ * Members open after the members they depend on, and close before them.
+ * Members on independent branches of the dependency graph run in parallel.
+ *
+ * @example
+ * const group = new LifecycleGroup({ db, cache, http }, {
+ *     cache: ['db'],
+ *     http: ['db', 'cache'],
+ * })
+ *
+ * await group.open() // db, then cache, then http
+ * await group.close() // http, then cache, then db
+ */
+export class LifecycleGroup {
+    /** @type {Map<string, GroupMember>} Members keyed by name */
+    #members
+    /** @type {Map<string, string[]>} Names of the members each member depends on */
+    #dependencies
+    /** @type {Map<string, string[]>} Names of the members that depend on each member */
+    #dependents
+    /** @type {string[]} Member names in topological order, dependencies first */
+    #order
+
+    /**
+     * Creates a new group of lifecycles.
+     * @param {Object<string, GroupMember>} members - The lifecycles in the group, keyed by name
+     * @param {Object<string, string[]>} [dependencies] - The names of the members each member depends on
+     * @throws {LifecycleError} If a dependency is not a member
+     * @throws {DependencyCycleError} If the dependencies form a cycle
+     */
+    constructor (members, dependencies = {}) {
+        this.#members = new Map(Object.entries(members))
+        this.#dependencies = new Map()
+        this.#dependents = new Map()
+
+        for (const name of this.#members.keys()) {
+            this.#dependencies.set(name, [])
+            this.#dependents.set(name, [])
+        }
+
+        for (const [name, names] of Object.entries(dependencies)) {
+            if (!this.#members.has(name)) {
+                throw new LifecycleError(`Unknown group member: ${name}`)
+            }
+
+            for (const dependency of names) {
+                if (!this.#members.has(dependency)) {
+                    throw new LifecycleError(`Unknown dependency of ${name}: ${dependency}`)
+                }
+
+                this.#dependencies.get(name).push(dependency)
+                this.#dependents.get(dependency).push(name)
+            }
+        }
+
+        this.#order = sort(this.#dependencies)
+    }
+
+    /**
+     * The state of the group, derived from its members' states.
+     * 'errored' if any member errored, otherwise the interim state of any member in transition,
+     * otherwise the state shared by every member. Members that are opened or resumed count as 'opened'
+     * when mixed, and any other combination is 'mixed'.
+     * @type {string}
+     */
+    get state () {
+        const states = [...this.#members.values()].map((member) => member.state)
+
+        if (states.includes('errored')) {
+            return 'errored'
+        }
+
+        for (const interimState of ['opening', 'closing', 'suspending', 'resuming']) {
+            if (states.includes(interimState)) {
+                return interimState
+            }
+        }
+
+        if (states.every((state) => state === states[0])) {
+            return states[0] ?? 'init'
+        }
+
+        if (states.every((state) => state === 'opened' || state === 'resumed')) {
+            return 'opened'
+        }
+
+        return 'mixed'
+    }
+
+    /**
+     * The members of the group, keyed by name.
+     * @type {Object<string, GroupMember>}
+     */
+    get members () {
+        return Object.fromEntries(this.#members)
+    }
+
+    /**
+     * Opens every member after the members it depends on.
+     * If a member fails to open, members that already opened are closed in
+     * reverse order and the original error is rethrown.
+     * @returns {Promise<void>} Resolves when every member is opened
+     */
+    async open () {
+        /** @type {string[]} */
+        const opened = []
+
+        const results = await Promise.allSettled(
+            this.#walk(this.#order, false, async (name) => {
+                await this.#members.get(name).open()
+                opened.push(name)
+            }),
+        )
+
+        const failure = results.find((result) => result.status === 'rejected')
+
+        if (failure) {
+            await Promise.allSettled(
+                this.#walk(opened, true, (name) => this.#members.get(name).close()),
+            )
+
+            throw /** @type {PromiseRejectedResult} */ (failure).reason
+        }
+    }
+
+    /**
+     * Closes every member before the members it depends on.
+     * Every member is closed even if some fail, then the first error is rethrown.
+     * @returns {Promise<void>} Resolves when every member is closed
+     */
+    async close () {
+        const results = await Promise.allSettled(
+            this.#walk(this.#order, true, (name) => this.#members.get(name).close(), true),
+        )
+
+        const failure = results.find((result) => result.status === 'rejected')
+
+        if (failure) {
+            throw /** @type {PromiseRejectedResult} */ (failure).reason
+        }
+    }
+
+    /**
+     * Suspends every member before the members it depends on.
+     * @returns {Promise<void>} Resolves when every member is suspended
+     */
+    async suspend () {
+        await Promise.all(this.#walk(this.#order, true, (name) => this.#members.get(name).suspend()))
+    }
+
+    /**
+     * Resumes every member after the members it depends on.
+     * @returns {Promise<void>} Resolves when every member is resumed
+     */
+    async resume () {
+        await Promise.all(this.#walk(this.#order, false, (name) => this.#members.get(name).resume()))
+    }
+
+    /**
+     * Closes every member when the group goes out of scope with `await using`,
+     * or is disposed by an `AsyncDisposableStack`.
+     * @returns {Promise<void>} Resolves when every member is closed
+     */
+    async [Symbol.asyncDispose] () {
+        await this.close()
+    }
+
+    /**
+     * Checks if the group state matches any of the specified states.
+     * @param {...string} queryStates - One or more states to check against
+     * @returns {boolean} True if the group state matches any specified state
+     */
+    is (...queryStates) {
+        return queryStates.includes(this.state)
+    }
+
+    /**
+     * Checks if the group state does not match any of the specified states.
+     * @param {...string} queryStates - One or more states to check against
+     * @returns {boolean} True if the group state doesn't match any specified state
+     */
+    not (...queryStates) {
+        return !queryStates.includes(this.state)
+    }
+
+    /**
+     * Runs a task for each named member once the task has finished for the members it waits on.
+     * Going forward, members wait on their dependencies. In reverse, they wait on their dependents.
+     * @param {string[]} names - The members to run the task for
+     * @param {boolean} reverse - Whether to run dependents before their dependencies
+     * @param {(name: string) => Promise<void>} task - The task to run for each member
+     * @param {boolean} [settle] - Whether to run the task even if a member it waits on failed
+     * @returns {Promise<void>[]} A promise for each member's task
+     */
+    #walk (names, reverse, task, settle = false) {
+        const waitsOn = reverse ? this.#dependents : this.#dependencies
+        const order = reverse ? [...this.#order].reverse() : this.#order
+
+        /** @type {Map<string, Promise<void>>} */
+        const tasks = new Map()
+
+        for (const name of order) {
+            if (!names.includes(name)) {
+                continue
+            }
+
+            const before = waitsOn.get(name)
+                .filter((other) => tasks.has(other))
+                .map((other) => tasks.get(other))
+
+            const ready = settle ? Promise.allSettled(before) : Promise.all(before)
+            tasks.set(name, ready.then(() => task(name)))
+        }
+
+        return [...tasks.values()]
+    }
+}
+
+/**
+ * @typedef {Object} GroupMember
+ * @property {string} state - The member's current state
+ * @property {() => Promise<void>} open - Opens the member
+ * @property {() => Promise<void>} close - Closes the member
+ * @property {() => Promise<void>} suspend - Suspends the member
+ * @property {() => Promise<void>} resume - Resumes the member
+ */
+
+/**
+ * Sorts a dependency graph so that every node comes after its dependencies.
+ * @param {Map<string, string[]>} dependencies - The dependencies of each node
+ * @returns {string[]} The node names in dependency order
+ * @throws {DependencyCycleError} If the graph contains a cycle
+ */
+function sort (dependencies) {
+    /** @type {string[]} */
+    const order = []
+    /** @type {Set<string>} */
+    const visited = new Set()
+
+    /**
+     * @param {string} name
+     * @param {string[]} path
+     */
+    const visit = (name, path) => {
+        if (path.includes(name)) {
+            throw new DependencyCycleError([...path.slice(path.indexOf(name)), name])
+        }
+
+        if (visited.has(name)) {
+            return
+        }
+
+        for (const dependency of dependencies.get(name)) {
+            visit(dependency, [...path, name])
+        }
+
+        visited.add(name)
+        order.push(name)
+    }
+
+    for (const name of dependencies.keys()) {
+        visit(name, [])
+    }
+
+    return order
+}
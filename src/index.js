@@ -1,6 +1,22 @@
+import {
+    InvalidTransitionError,
+    LifecycleError,
+    OperationFailedError,
+    TimeoutError,
+    TransitionMapError,
+    UnknownOperationError,
+} from './errors.js'
+import { toDot, toMermaid } from './graph.js'
+
+export * from './errors.js'
+export { toDot, toMermaid } from './graph.js'
+export { LifecycleGroup } from './group.js'
+export { openedResource } from './resource.js'
+export { gracefulShutdown } from './shutdown.js'
+
 /**
  * A sequential operation queue that ensures operations are processed one at a time
- * in the order they are added.
+ * in the order they are added, except for urgent operations, which jump ahead of pending ones.
  *
  * This queue is used internally by the Lifecycle manager to ensure that
  * lifecycle operations (open, close, suspend, resume) execute in sequence
@@ -13,42 +29,105 @@
  * @private This class is used internally and not intended for direct use.
  */
 export class Queue {
-    /** @type {Array<{item: Object, resolve: Function, reject: Function}>} */
+    /** @type {QueueEntry[]} */
     #items = []
     /** @type {boolean} */
     #processing = false
     /** @type {(item: {[key: string]: any}) => Promise<void>} */
     #processor
+    /** @type {(event: CoalesceEvent) => void} */
+    #onCoalesce
 
     /**
      * Creates a new operation queue.
      *
      * @param {(item: {[key: string]: any}) => Promise<void>} processor - A function that processes each queued item. Must be async or return a Promise.
      * The processor receives an object with properties that depend on the usage context.
-     * In Lifecycle usage, this receives an object with {operation, interimState, toState} properties.
+     * In Lifecycle usage, this receives an object with {operator, interimState, toState} properties.
+     * @param {Object} [options] - Queue configuration
+     * @param {(event: CoalesceEvent) => void} [options.onCoalesce] - Called when an item is coalesced with or cancels another
      */
-    constructor (processor) {
+    constructor (processor, { onCoalesce } = {}) {
         this.#processor = processor
+        this.#onCoalesce = onCoalesce ?? (() => {})
+    }
+
+    /**
+     * The items in the queue, starting with the one being processed, if any.
+     * @type {Array<{ item: {[key: string]: any}, callers: number, running: boolean }>}
+     */
+    get pending () {
+        return this.#items.map(({ item, callers }, index) => ({
+            item,
+            callers,
+            running: this.#processing && index === 0,
+        }))
     }
 
     /**
      * Adds an operation to the processing queue.
      *
-     * Operations are guaranteed to be processed in the order they are added.
+     * Operations are processed in the order they are added. Urgent operations are processed
+     * after the running operation and any earlier urgent ones, ahead of every other pending operation.
      * The returned promise resolves when the operation completes or rejects
      * if the operation fails.
      *
+     * An operation is compared with the one it would be processed right after. If `coalesces` matches
+     * that one, even while it's being processed, they share a single promise instead of being added again.
+     * If `cancels` matches a pending one, both are dropped and resolve with `{ cancelled: true, by }`,
+     * each naming the other.
+     *
      * @param {Object} item - The operation data to be processed
-     * @returns {Promise<void>} A promise that resolves when the operation completes
+     * @param {Object} [options] - How the operation is queued
+     * @param {boolean} [options.urgent] - Whether the operation jumps ahead of pending operations that aren't urgent
+     * @param {(pending: {[key: string]: any}) => boolean} [options.supersedes] - Decides whether a pending operation the urgent one
+     * jumps ahead of is made pointless by it. Those operations are removed without being processed,
+     * and resolve with `{ superseded: true, by: item }`.
+     * @param {(other: {[key: string]: any}) => boolean} [options.coalesces] - Decides whether the operation is identical to another
+     * @param {(other: {[key: string]: any}, before: {[key: string]: any}|null) => boolean} [options.cancels] - Decides whether the operation
+     * and another undo each other, given the item processed right before the other one, if any
+     * @returns {Promise<void|QueueResult>} A promise that resolves when the operation completes
      */
-    async enqueue (item) {
+    async enqueue (item, { urgent = false, supersedes, coalesces, cancels } = {}) {
+        const running = this.#processing ? 1 : 0
+        let index = this.#items.length
+
+        if (urgent) {
+            index = running
+
+            while (index < this.#items.length && this.#items[index].urgent) {
+                index++
+            }
+        }
+
+        const previous = this.#items[index - 1]
+
+        if (previous && coalesces?.(previous.item)) {
+            previous.callers++
+            this.#onCoalesce({ kind: 'coalesced', item, other: previous.item, callers: previous.callers })
+            return previous.promise
+        }
+
+        if (previous && index - 1 >= running && cancels?.(previous.item, this.#items[index - 2]?.item ?? null)) {
+            this.#items.splice(index - 1, 1)
+            previous.resolve({ cancelled: true, by: item })
+            this.#onCoalesce({ kind: 'cancelled', item, other: previous.item, callers: previous.callers })
+            return { cancelled: true, by: previous.item }
+        }
+
         const { promise, resolve, reject } = Promise.withResolvers()
 
-        this.#items.push({
-            item,
-            resolve,
-            reject,
-        })
+        /** @type {QueueEntry} */
+        const entry = { item, promise, resolve, reject, urgent, callers: 1 }
+
+        const skipped = this.#items.splice(index)
+        const superseded = urgent && supersedes ? skipped.filter((pending) => supersedes(pending.item)) : []
+
+        this.#items.push(entry, ...skipped.filter((pending) => !superseded.includes(pending)))
+
+        for (const pending of superseded) {
+            pending.resolve({ superseded: true, by: item })
+        }
 
         if (!this.#processing) {
             this.#processQueue()
@@ -95,6 +174,29 @@ export class Queue {
     }
 }
 
+/**
+ * @typedef {Object} QueueEntry
+ * @property {{[key: string]: any}} item - The operation data
+ * @property {Promise<void|QueueResult>} promise - Settles when the operation is processed, superseded or cancelled
+ * @property {Function} resolve - Resolves the promise
+ * @property {Function} reject - Rejects the promise
+ * @property {boolean} urgent - Whether the operation jumped ahead of pending ones
+ * @property {number} callers - How many enqueued operations share the promise
+ */
+
+/**
+ * The result of a queued operation that was never processed.
+ * @typedef {{ superseded: true, by: {[key: string]: any} }|{ cancelled: true, by: {[key: string]: any} }} QueueResult
+ */
+
+/**
+ * @typedef {Object} CoalesceEvent
+ * @property {'coalesced'|'cancelled'} kind - Whether the item shares another's promise, or both were cancelled
+ * @property {{[key: string]: any}} item - The item being enqueued
+ * @property {{[key: string]: any}} other - The item it was coalesced with or cancelled
+ * @property {number} callers - How many enqueued operations share the other item's promise
+ */
+
 /**
  * Manages a state machine with controlled transitions and wait conditions.
  * This class enforces valid state transitions according to a predefined transition map
@@ -105,18 +207,138 @@ export class StateMachine {
     #current = 'init'
     /** @type {Object<string, string[]>} Map of state names to allowed destination states */
     #transitions
-    /** @type {Object<string, Promise<void>>} Promises that resolve when specific states are reached */
-    #transitionPromises = {}
-    /** @type {Object<string, Function>} Resolvers for the transition promises */
-    #transitionResolvers = {}
+    /** @type {Map<string, Set<{resolve: Function, reject: Function}>>} Pending `until()` calls keyed by the state they wait for */
+    #waiters = new Map()
+    /** @type {Object<string, Object<string, Guard>>} Guards keyed by source state, then target state */
+    #guards
+    /** @type {Object<string, Action>} Actions run when entering each state */
+    #enter
+    /** @type {Object<string, Action>} Actions run when leaving each state */
+    #exit
+    /** @type {string|null} The name included in errors */
+    #name
+    /** @type {Set<(change: StateChange) => void>} Functions called after every transition */
+    #subscribers = new Set()
 
     /**
      * Creates a new state machine with the specified transition rules.
      * @param {{ [x: string]: string[]; }} transitions - A map of states to arrays of allowed next states.
-     * For example: `{ 'init': ['starting'], 'starting': ['started'] }`
+     * For example: `{ init: ['starting'], starting: ['started'], started: [] }`
+     * @param {Object} [options] - State machine configuration.
+     * @param {string} [options.initial] - The state to start in, defaults to 'init'.
+     * @param {string} [options.name] - A name included in the machine's errors.
+     * @param {Object<string, Object<string, Guard>>} [options.guards] - Predicates that must allow a transition, keyed by source state, then target state.
+     * For example: `{ suspended: { resuming: () => quota > 0 } }`
+     * @param {Object<string, Action>} [options.enter] - Actions run synchronously when entering a state, keyed by state.
+     * @param {Object<string, Action>} [options.exit] - Actions run synchronously when leaving a state, keyed by state.
+     * @throws {TransitionMapError} If the transition map has problems, see `StateMachine.validate()`
      */
-    constructor (transitions) {
+    constructor (transitions, options = {}) {
+        const problems = StateMachine.validate(transitions)
+
+        if (problems.length > 0) {
+            throw new TransitionMapError(problems, { lifecycle: options.name })
+        }
+
         this.#transitions = transitions
+        this.#current = options.initial ?? 'init'
+        this.#name = options.name ?? null
+        this.#guards = options.guards ?? {}
+        this.#enter = options.enter ?? {}
+        this.#exit = options.exit ?? {}
+    }
+
+    /**
+     * Checks a transition map without throwing.
+     * A valid map declares 'init', only targets declared states, reaches every state from 'init',
+     * and has a path from every state to a terminal state, one without outgoing transitions.
+     * @param {Object<string, string[]>} transitions - A map of states to arrays of allowed next states.
+     * @returns {import('./errors.js').TransitionMapProblem[]} Every problem found, empty if the map is valid.
+     * @example
+     * for (const problem of StateMachine.validate(transitions)) {
+     *     console.warn(problem.message)
+     * }
+     */
+    static validate (transitions) {
+        /** @type {import('./errors.js').TransitionMapProblem[]} */
+        const problems = []
+        const states = Object.keys(transitions ?? {})
+        const hasInit = states.includes('init')
+
+        /**
+         * @param {import('./errors.js').TransitionMapProblem['code']} code
+         * @param {string|null} state
+         * @param {string|null} target
+         * @param {string} message
+         */
+        const problem = (code, state, target, message) => {
+            problems.push({ code, state, target, message })
+        }
+
+        if (!hasInit) {
+            problem('missing-init', null, null, 'Missing init state')
+        }
+
+        for (const state of states) {
+            const targets = transitions[state]
+
+            if (!Array.isArray(targets)) {
+                problem('invalid-targets', state, null, `Targets of ${state} must be an array of states`)
+                continue
+            }
+
+            for (const target of targets) {
+                if (!Object.hasOwn(transitions, target)) {
+                    problem('unknown-target', state, target, `State ${state} has unknown target: ${target}`)
+                }
+            }
+        }
+
+        /**
+         * @param {string} state
+         * @returns {string[]}
+         */
+        const targetsOf = (state) => {
+            const targets = transitions[state]
+            return Array.isArray(targets) ? targets.filter((target) => Object.hasOwn(transitions, target)) : []
+        }
+
+        /**
+         * @param {string[]} from
+         * @param {(state: string) => string[]} next
+         * @returns {Set<string>}
+         */
+        const search = (from, next) => {
+            const visited = new Set(from)
+            const pending = [...from]
+
+            while (pending.length > 0) {
+                for (const state of next(pending.shift())) {
+                    if (!visited.has(state)) {
+                        visited.add(state)
+                        pending.push(state)
+                    }
+                }
+            }
+
+            return visited
+        }
+
+        const reachable = search(hasInit ? ['init'] : [], targetsOf)
+        const terminals = states.filter((state) => transitions[state]?.length === 0)
+        const finishing = search(terminals, (state) => states.filter((source) => targetsOf(source).includes(state)))
+
+        for (const state of states) {
+            if (hasInit && !reachable.has(state)) {
+                problem('unreachable', state, null, `State ${state} is unreachable from init`)
+            }
+
+            if (!finishing.has(state)) {
+                problem('no-terminal-path', state, null, `State ${state} has no path to a terminal state`)
+            }
+        }
+
+        return problems
     }
 
     /**
@@ -127,60 +349,312 @@ export class StateMachine {
         return this.#current
     }
 
+    /**
+     * The transition map, as a copy.
+     * @type {Object<string, string[]>}
+     */
+    get transitions () {
+        return structuredClone(this.#transitions)
+    }
+
+    /**
+     * Renders the transition map as a Mermaid `stateDiagram-v2`.
+     * @param {DiagramOptions} [options] - What to highlight
+     * @returns {string} The Mermaid source
+     */
+    toMermaid ({ highlight = false, path } = {}) {
+        return toMermaid(this.#transitions, { state: highlight ? this.#current : undefined, path })
+    }
+
+    /**
+     * Renders the transition map as a Graphviz DOT digraph.
+     * @param {DiagramOptions & { name?: string }} [options] - What to highlight, and the graph name
+     * @returns {string} The DOT source
+     */
+    toDot ({ highlight = false, path, name } = {}) {
+        return toDot(this.#transitions, { state: highlight ? this.#current : undefined, path, name })
+    }
+
     /**
      * Checks if a transition to the specified state is allowed from the current state.
+     * Use `check()` to find out why a transition is refused.
      * @param {string} toState - The target state to check.
      * @returns {boolean} True if the transition is allowed, false otherwise.
      */
     allows (toState) {
+        return this.check(toState).allowed
+    }
+
+    /**
+     * Checks if a transition to the specified state is allowed from the current state,
+     * and explains why not. A transition must be in the transition map and pass its guard, if any.
+     * @param {string} toState - The target state to check.
+     * @returns {{ allowed: boolean, reason: string|null }} Whether the transition is allowed, and the reason if it isn't.
+     * @example
+     * const { allowed, reason } = machine.check('resuming')
+     * if (!allowed) console.log(reason) // 'Guard refused transition from suspended to resuming: quota exhausted'
+     */
+    check (toState) {
         const allowed = this.#transitions[this.#current] || []
-        const sure = allowed.includes(toState)
-        return sure
+
+        if (!allowed.includes(toState)) {
+            return { allowed: false, reason: `No transition from ${this.#current} to ${toState}` }
+        }
+
+        const guard = this.#guards[this.#current]?.[toState]
+        const result = guard ? guard(this.#current, toState) : true
+
+        if (result !== true) {
+            const refusal = `Guard refused transition from ${this.#current} to ${toState}`
+            return { allowed: false, reason: typeof result === 'string' ? `${refusal}: ${result}` : refusal }
+        }
+
+        return { allowed: true, reason: null }
+    }
+
+    /**
+     * Checks if the specified state can still be reached from the current state
+     * through any sequence of allowed transitions.
+     * @param {string} queryState - The state to check.
+     * @param {string} [fromState] - The state to start from, defaults to the current state.
+     * @returns {boolean} True if the state is the starting state or can be reached from it.
+     */
+    reaches (queryState, fromState = this.#current) {
+        const visited = new Set([fromState])
+        const pending = [fromState]
+
+        while (pending.length > 0) {
+            const state = pending.pop()
+
+            if (state === queryState) {
+                return true
+            }
+
+            for (const next of this.#transitions[state] || []) {
+                if (!visited.has(next)) {
+                    visited.add(next)
+                    pending.push(next)
+                }
+            }
+        }
+
+        return false
     }
 
     /**
      * Returns a promise that resolves when the specified state is reached.
      * This is useful for coordinating actions that depend on specific states.
+     * The promise rejects if the state becomes unreachable from the current state,
+     * the timeout expires, or the signal is aborted.
      * @param {string} queryState - The state to wait for.
+     * @param {Object} [options] - Limits on how long to wait.
+     * @param {number} [options.timeout] - How long to wait, in milliseconds.
+     * @param {AbortSignal} [options.signal] - Stops waiting when aborted.
      * @returns {Promise<void>} A promise that resolves when the target state is reached.
      */
-    until (queryState) {
+    until (queryState, { timeout, signal } = {}) {
         if (this.#current === queryState) {
             return Promise.resolve()
         }
 
-        if (!this.#transitionPromises[queryState]) {
-            this.#transitionPromises[queryState] = new Promise((resolve) => {
-                this.#transitionResolvers[queryState] = resolve
-            })
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason)
+        }
+
+        if (!this.reaches(queryState)) {
+            return Promise.reject(this.#unreachable(queryState))
         }
 
-        return this.#transitionPromises[queryState]
+        return new Promise((resolve, reject) => {
+            /** @type {ReturnType<typeof setTimeout>} */
+            let timer
+
+            const onAbort = () => settle(reject, signal.reason)
+
+            const settle = (/** @type {Function} */ callback, /** @type {any} */ value) => {
+                clearTimeout(timer)
+                signal?.removeEventListener('abort', onAbort)
+                this.#waiters.get(queryState)?.delete(waiter)
+                callback(value)
+            }
+
+            const waiter = {
+                resolve: () => settle(resolve),
+                reject: (/** @type {Error} */ error) => settle(reject, error),
+            }
+
+            if (!this.#waiters.has(queryState)) {
+                this.#waiters.set(queryState, new Set())
+            }
+
+            this.#waiters.get(queryState).add(waiter)
+
+            if (timeout !== undefined) {
+                timer = setTimeout(() => {
+                    waiter.reject(new TimeoutError(`Timed out after ${timeout}ms waiting for state ${queryState}`, {
+                        lifecycle: this.#name,
+                        from: this.#current,
+                        to: queryState,
+                        timeout,
+                    }))
+                }, timeout)
+            }
+
+            signal?.addEventListener('abort', onAbort)
+        })
     }
 
     /**
      * Transitions the state machine to a new state if allowed.
+     * Runs the exit action of the current state, then the entry action of the new state.
+     * Pending `until()` calls for the new state resolve, and those for states
+     * that can no longer be reached reject.
      * @param {string} toState - The target state to transition to.
-     * @throws {Error} If the transition is not allowed from the current state.
+     * @param {{ allowed: boolean, reason: string|null }} [checked] - The result of `check(toState)`, if the caller already has it,
+     * so that the guard runs once per transition.
+     * @throws {InvalidTransitionError} If the transition is not allowed from the current state.
+     * @throws {Error} If an action throws.
+     * An exit action that throws prevents the transition. An entry action that throws doesn't:
+     * the machine is in the new state, and subscribers and waiters are notified before the error is rethrown.
      */
-    transition (toState) {
-        if (!this.allows(toState)) {
-            throw new Error(`Invalid transition from ${this.#current} to ${toState}`)
+    transition (toState, checked = this.check(toState)) {
+        const { allowed, reason } = checked
+
+        if (!allowed) {
+            throw new InvalidTransitionError(`Invalid transition from ${this.#current} to ${toState}: ${reason}`, {
+                lifecycle: this.#name,
+                from: this.#current,
+                to: toState,
+                reason,
+            })
         }
 
+        const fromState = this.#current
+
+        this.#exit[fromState]?.(fromState, toState)
         this.#current = toState
 
-        if (this.#transitionResolvers[toState]) {
-            this.#transitionResolvers[toState]()
-            delete this.#transitionResolvers[toState]
-            delete this.#transitionPromises[toState]
+        try {
+            this.#enter[toState]?.(fromState, toState)
+        } finally {
+            for (const subscriber of this.#subscribers) {
+                subscriber({ from: fromState, to: toState })
+            }
+
+            for (const [queryState, waiters] of this.#waiters) {
+                if (queryState === toState) {
+                    waiters.forEach((waiter) => waiter.resolve())
+                } else if (!this.reaches(queryState)) {
+                    const error = this.#unreachable(queryState)
+                    waiters.forEach((waiter) => waiter.reject(error))
+                }
+
+                if (waiters.size === 0) {
+                    this.#waiters.delete(queryState)
+                }
+            }
+        }
+    }
+
+    /**
+     * Iterates over state changes as they happen, starting from when it's called.
+     * Changes are buffered until read, so none are missed between iterations.
+     * Iteration finishes after a terminal state, one without outgoing transitions, is reached,
+     * or as soon as the signal is aborted.
+     * @param {Object} [options] - When to stop early
+     * @param {AbortSignal} [options.signal] - Finishes the iteration when aborted, dropping unread changes
+     * @returns {AsyncIterableIterator<StateChange>} The state changes
+     * @example
+     * for await (const { from, to } of machine.changes()) {
+     *     console.log(`${from} -> ${to}`)
+     * }
+     */
+    changes ({ signal } = {}) {
+        return iterate(
+            (push) => {
+                this.#subscribers.add(push)
+                return () => this.#subscribers.delete(push)
+            },
+            (change) => this.#transitions[change.to].length === 0,
+            this.#transitions[this.#current].length === 0,
+            signal,
+        )
+    }
+
+    /**
+     * Rejects pending `until()` promises with the given error.
+     * Used to release waiters when the machine can no longer make progress towards their states on its own.
+     * @param {Error} error - The error to reject the pending waiters with.
+     * @param {string[]} [states] - The states whose waiters are rejected, defaults to every state.
+     */
+    fail (error, states = [...this.#waiters.keys()]) {
+        for (const state of states) {
+            this.#waiters.get(state)?.forEach((waiter) => waiter.reject(error))
+            this.#waiters.delete(state)
         }
     }
+
+    /**
+     * Creates the error for a state that can't be reached from the current state.
+     * @param {string} queryState - The unreachable state.
+     * @returns {LifecycleError} The error to reject waiters with.
+     */
+    #unreachable (queryState) {
+        return new LifecycleError(`State ${queryState} is unreachable from ${this.#current}`, {
+            lifecycle: this.#name,
+            from: this.#current,
+            to: queryState,
+        })
+    }
 }
 
+/**
+ * @typedef {Object} StateChange
+ * @property {string} from - The state before the transition
+ * @property {string} to - The state after the transition
+ */
+
+/**
+ * Decides whether a guarded transition may happen.
+ * Returns true to allow the transition, or false or a string explaining the refusal.
+ * @callback Guard
+ * @param {string} fromState - The current state
+ * @param {string} toState - The target state
+ * @returns {boolean|string}
+ */
+
+/**
+ * Runs as part of a transition.
+ * @callback Action
+ * @param {string} fromState - The state being left
+ * @param {string} toState - The state being entered
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} DiagramOptions
+ * @property {boolean} [highlight] - Whether to highlight the current state
+ * @property {string[]} [path] - The states visited, in order, to highlight as the path taken
+ */
+
 /**
  * Manages asynchronous lifecycles for resources like databases, network connections,
  * or any system requiring controlled startup/shutdown sequences.
+ *
+ * Pass handlers to the constructor, or extend the class and define protected hooks named
+ * after each operation with a leading underscore, like `_open`, `_close` or `_healthCheck`.
+ * Hooks are bound to the instance, and handlers passed to the constructor take precedence.
+ *
+ * @example
+ * class Database extends Lifecycle {
+ *     async _open ({ signal }) {
+ *         this.connection = await connect(this.url, { signal })
+ *     }
+ *
+ *     async _close () {
+ *         await this.connection.end()
+ *     }
+ * }
  * @class
  */
 export default class Lifecycle {
@@ -188,166 +662,733 @@ export default class Lifecycle {
     #stateMachine
     /** @type {Object<string, Function>} Map of lifecycle operations functions */
     #operations
+    /** @type {Object<string, OperationDefinition>} Map of operation names to their interim and final states */
+    #definitions
     /** @type {Object<string, string[]>} Map of state names to allowed destination states */
     #transitions
+    /** @type {{ name?: string, guards?: Object<string, Object<string, Guard>>, enter?: Object<string, Action>, exit?: Object<string, Action> }} Name, guards and actions passed to the state machine */
+    #machineOptions
     /** @type {Queue} Queue that ensures operations run in sequence */
     #queue
-    /** @type {Function} Callback for state transitions */
-    #onTransition = noop
+    /** @type {Map<string, Set<Listener & { listener?: Listener }>>} Listeners keyed by state or event name, with '*' for every transition */
+    #listeners = new Map()
+    /** @type {Error|null} The error thrown by the operation that moved the lifecycle to 'errored' */
+    #error = null
+    /** @type {string|null} The name of the operation that moved the lifecycle to 'errored' */
+    #failedOperation = null
+    /** @type {{ interimState: string, toState: string, controller: AbortController, interruptedBy: string|null }|null} The operation currently running, and the operation that interrupted it, if any */
+    #running = null
+    /** @type {number} The number of `use()` callbacks currently running */
+    #inFlight = 0
+    /** @type {Set<Function>} Resolvers called when the last `use()` callback finishes */
+    #drainResolvers = new Set()
+    /** @type {Function|null} Checks whether the resource is healthy */
+    #healthCheck = null
+    /** @type {HealthOptions} How health checks are run and handled */
+    #healthOptions
+    /** @type {ReturnType<typeof setInterval>|null} Timer running health checks while usable */
+    #healthTimer = null
+    /** @type {string} The result of the latest health checks */
+    #health = 'unknown'
+    /** @type {number} The number of consecutive failed health checks */
+    #healthFailures = 0
+    /** @type {AbortController|null} Aborts the running health check when checks stop */
+    #healthController = null
+    /** @type {IdleOptions|null} When to suspend and resume automatically */
+    #idleOptions
+    /** @type {ReturnType<typeof setTimeout>|null} Timer suspending the resource once idle */
+    #idleTimer = null
+    /** @type {HistoryEntry[]} The most recent operations, oldest first */
+    #history = []
+    /** @type {number} The maximum number of history entries kept */
+    #historySize
+    /** @type {HistoryEntry|null} The most recent failed operation */
+    #lastFailure = null
+    /** @type {string|null} The name included in errors */
+    #name
+    /** @type {WeakMap<QueueItem, Aborted>} Results of operations aborted by another operation, keyed by their queued item */
+    #aborted = new WeakMap()
+    /** @type {Object<string, any[]>} The arguments each operation last ran with */
+    #arguments = {}
+    /** @type {number} How many times close has been called, to tell a restart's own close from the user's */
+    #closes = 0
+    /** @type {number|null} The value of `#closes` when the running restart called close, if a restart is running */
+    #restarting = null
+    /** @type {boolean} Whether operations that aren't allowed reject instead of being skipped */
+    #strict
+    /** @type {Object<string, number>} Milliseconds spent in each state before the current one */
+    #durations = {}
+    /** @type {number} When the current state was entered, in milliseconds since the epoch */
+    #enteredAt = Date.now()
+
+    /**
+     * User data stored with the lifecycle and included in snapshots.
+     * @type {Object<string, any>}
+     */
+    metadata
 
     /**
      * Creates a new resource lifecycle manager.
-     * @param {Object} operations - Lifecycle handler functions
+     * @param {Object} [operations] - Lifecycle handler functions, keyed by operation name.
+     * Operations without a handler use the subclass hook of the same name prefixed with an underscore, if any.
      * @param {Function} [operations.open] - Resource startup logic
      * @param {Function} [operations.close] - Resource shutdown logic
      * @param {Function} [operations.suspend] - Temporary deactivation logic
      * @param {Function} [operations.resume] - Restoration from suspended state
+     * @param {Object} [options] - Lifecycle configuration
+     * @param {Object<string, string[]>} [options.transitions] - Extra or replacement entries for the transition map, merged over the built-in one
+     * @param {Object<string, Partial<OperationDefinition>>} [options.operations] - Extra or replacement operation definitions, merged over the built-in ones.
+     * A method is generated for each custom operation, and its handler is read from `operations` by the same name.
+     * @param {number} [options.timeout] - Default timeout for every attempt of an operation, in milliseconds
+     * @param {RetryPolicy} [options.retry] - Default retry policy for open and resume
+     * @param {number} [options.drainTimeout] - How long suspend and close wait for `use()` callbacks to finish, in milliseconds
+     * @param {HealthOptions} [options.health] - How the `healthCheck` handler from `operations` is run while opened or resumed
+     * @param {IdleOptions} [options.idle] - Suspends the resource when `use()` hasn't been called for a while, and resumes it on the next call
+     * @param {number} [options.historySize] - How many operations `history` keeps, defaults to 50
+     * @param {Object<string, any>} [options.metadata] - User data stored with the lifecycle and included in snapshots
+     * @param {string} [options.name] - A name for the resource, included in errors as `lifecycle`
+     * @param {boolean} [options.strict] - Whether operations that aren't allowed from the current state reject with an
+     * `InvalidTransitionError` instead of resolving without doing anything
+     * @param {Object<string, Object<string, Guard>>} [options.guards] - Guards for transitions, as for `StateMachine`. Operations whose transition
+     * into their interim state is refused are skipped, or rejected in strict mode. Operations whose transition out of it is refused fail.
+     * @param {Object<string, Action>} [options.enter] - Actions run when entering a state, as for `StateMachine`
+     * @param {Object<string, Action>} [options.exit] - Actions run when leaving a state, as for `StateMachine`
+     * @throws {LifecycleError} If an operation refers to a state missing from the transition map, or its name collides with an existing member
+     * @throws {LifecycleError} If the idle timeout isn't a positive, finite number
+     * @throws {TransitionMapError} If the transition map has problems, see `StateMachine.validate()`
+     * @example
+     * const consumer = new Lifecycle({ open, close, drain }, {
+     *     transitions: {
+     *         opened: ['suspending', 'closing', 'draining'],
+     *         draining: ['drained', 'errored'],
+     *         drained: ['closing'],
+     *     },
+     *     operations: {
+     *         drain: { interimState: 'draining', toState: 'drained' },
+     *     },
+     * })
+     *
+     * await consumer.open()
+     * await consumer.drain()
      */
-    constructor (operations) {
-        this.#operations = {
-            open: operations.open || noop,
-            close: operations.close || noop,
-            suspend: operations.suspend || noop,
-            resume: operations.resume || noop,
-        }
-
+    constructor (operations = {}, options = {}) {
         this.#transitions = Object.freeze({
-            init: ['opening'],
-            opening: ['opened'],
-            opened: ['suspending', 'closing'],
-            suspending: ['suspended', 'closing'],
-            suspended: ['resuming', 'closing'],
-            resuming: ['resumed'],
-            resumed: ['suspending', 'closing'],
-            closing: ['closed'],
-            closed: [],
+            ...defaultTransitions,
+            ...options.transitions,
         })
 
-        this.#stateMachine = new StateMachine(this.#transitions)
-        this.#queue = new Queue((item) => {
-            return this.#run(item.operation, item.interimState, item.toState)
-        })
+        /** @type {Object<string, Function>} */
+        const handlers = operations
+        /** @type {Object<string, Function>} */
+        const hooks = /** @type {any} */ (this)
+
+        /** @param {string} name */
+        const handler = (name) => handlers[name] || hooks[`_${name}`]?.bind(this)
+
+        this.#definitions = {}
+        this.#operations = {}
+
+        const names = new Set([
+            ...Object.keys(defaultOperations),
+            ...Object.keys(options.operations || {}),
+        ])
+
+        for (const name of names) {
+            const definition = {
+                timeout: options.timeout,
+                drainTimeout: options.drainTimeout,
+                retry: retriedOperations.includes(name) ? options.retry : undefined,
+                ...defaultOperations[name],
+                ...options.operations?.[name],
+            }
+
+            for (const state of [definition.interimState, definition.toState]) {
+                if (!Object.hasOwn(this.#transitions, state)) {
+                    throw new LifecycleError(`Operation ${name} uses unknown state: ${state}`, {
+                        lifecycle: options.name,
+                        operation: name,
+                    })
+                }
+            }
+
+            if (!Object.hasOwn(defaultOperations, name)) {
+                if (name in this) {
+                    throw new LifecycleError(`Operation name conflicts with an existing member: ${name}`, {
+                        lifecycle: options.name,
+                        operation: name,
+                    })
+                }
+
+                Object.defineProperty(this, name, {
+                    value: async (/** @type {any[]} */ ...args) => this.#enqueue(name, { args }),
+                })
+            }
+
+            this.#definitions[name] = Object.freeze(definition)
+            this.#operations[name] = handler(name) || noop
+        }
+
+        this.#healthCheck = handler('healthCheck') || null
+        this.#healthOptions = {
+            interval: 30000,
+            threshold: 3,
+            policy: 'emit',
+            ...options.health,
+        }
+
+        if (options.idle && !(Number.isFinite(options.idle.timeout) && options.idle.timeout > 0)) {
+            throw new LifecycleError(`Idle timeout must be a positive, finite number of milliseconds: ${options.idle.timeout}`, {
+                lifecycle: options.name,
+            })
+        }
+
+        this.#idleOptions = options.idle ? { resume: true, ...options.idle } : null
+        this.#historySize = options.historySize ?? 50
+        this.metadata = options.metadata ?? {}
+        this.#strict = options.strict ?? false
+        this.#name = options.name ?? null
+
+        this.#machineOptions = {
+            name: options.name,
+            guards: options.guards,
+            enter: options.enter,
+            exit: options.exit,
+        }
+
+        this.#stateMachine = new StateMachine(this.#transitions, this.#machineOptions)
+        this.#queue = this.#createQueue()
+    }
+
+    /**
+     * The name given to the lifecycle, included in its errors.
+     * @type {string|null}
+     */
+    get name () {
+        return this.#name
     }
 
     /**
      * The current state of the resource lifecycle.
-     * @type {string} One of: init, opening, opened, suspending, suspended, resuming, closing, closed
+     * @type {string} One of: init, opening, opened, suspending, suspended, resuming, closing, closed, errored,
+     * or a custom state from the transition map
      */
     get state () {
         return this.#stateMachine.state
     }
 
+    /**
+     * The result of the latest health checks.
+     * 'unknown' until the first check after opening or resuming, then 'healthy' or 'unhealthy'.
+     * @type {string}
+     */
+    get health () {
+        return this.#health
+    }
+
+    /**
+     * The most recent operations, oldest first, up to `historySize` entries.
+     * Operations skipped because their transition wasn't allowed are not recorded.
+     * @type {HistoryEntry[]}
+     */
+    get history () {
+        return [...this.#history]
+    }
+
+    /**
+     * The queued operations, starting with the running one, if any.
+     * Identical calls coalesced into one operation are counted in its `callers`.
+     * @type {PendingOperation[]}
+     */
+    get pending () {
+        return this.#queue.pending.map(({ item, callers, running }) => ({
+            operation: item.operator,
+            callers,
+            running,
+        }))
+    }
+
+    /**
+     * The error that moved the lifecycle to the 'errored' state.
+     * Cleared when the next operation starts from 'errored'.
+     * @type {Error|null}
+     */
+    get error () {
+        return this.#error
+    }
+
+    /**
+     * The name of the operation that moved the lifecycle to the 'errored' state.
+     * Cleared when the next operation starts from 'errored'.
+     * @type {string|null}
+     */
+    get failedOperation () {
+        return this.#failedOperation
+    }
+
     /**
      * Executes a specific operation with custom transition states.
-     * @param {string} operator - The operation name to execute (open, close, suspend, resume)
-     * @param {string} interimState - The intermediate state during operation
-     * @param {string} toState - The final state after successful completion
-     * @returns {Promise<void>} Resolves when the operation completes
-     * @throws {Error} If the operator name doesn't exist
+     * @param {string} operator - The operation name to execute (open, close, suspend, resume, or a custom operation)
+     * @param {string} [interimState] - The intermediate state during operation, defaults to the operation's definition
+     * @param {string} [toState] - The final state after successful completion, defaults to the operation's definition
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when the operation completes, or when superseded, cancelled or aborted
+     * @throws {UnknownOperationError} If the operator name doesn't exist
      */
     async transition (operator, interimState, toState) {
         if (!this.#operations[operator]) {
-            throw new Error(`Unknown operator name: ${operator}`)
+            throw new UnknownOperationError(`Unknown operator name: ${operator}`, {
+                lifecycle: this.#name,
+                from: this.state,
+                operation: operator,
+            })
         }
 
-        return this.#enqueue(this.#operations[operator], interimState, toState)
+        return this.#enqueue(operator, { interimState, toState })
     }
 
     /**
      * Starts the resource initialization process.
      * Transitions from 'init' through 'opening' to 'opened'.
      * Operations are queued and processed in order.
-     * @returns {Promise<void>} Resolves when opened
+     * @param {...any} args - Arguments passed to the open handler after its context, like the configuration to open with
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when opened, or when superseded, cancelled or aborted by `close()`
+     * @example
+     * await db.open({ host: 'replica.internal' })
      */
-    async open () {
-        return this.#enqueue(this.#operations.open, 'opening', 'opened')
+    async open (...args) {
+        return this.#enqueue('open', { args })
     }
 
     /**
      * Initiates permanent resource shutdown.
      * Transitions through 'closing' to 'closed'.
-     * Safe to call from most states.
-     * @returns {Promise<void>} Resolves when closed
+     * Safe to call from most states. Aborts the signal of a running open or resume.
+     * Urgent: runs right after the running operation, and supersedes every pending operation.
+     * @param {...any} args - Arguments passed to the close handler after its context
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when closed
      */
-    async close () {
-        return this.#enqueue(this.#operations.close, 'closing', 'closed')
+    async close (...args) {
+        return this.#enqueue('close', { args })
     }
 
     /**
      * Starts temporary resource deactivation.
      * Transitions through 'suspending' to 'suspended'.
-     * @returns {Promise<void>} Resolves when suspended
+     * @param {...any} args - Arguments passed to the suspend handler after its context
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when suspended, or when superseded or cancelled
      */
-    async suspend () {
-        return this.#enqueue(this.#operations.suspend, 'suspending', 'suspended')
+    async suspend (...args) {
+        return this.#enqueue('suspend', { args })
     }
 
     /**
      * Restores resource from suspended state.
      * Transitions through 'resuming' to 'resumed'.
-     * @returns {Promise<void>} Resolves when resumed
+     * @param {...any} args - Arguments passed to the resume handler after its context
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when resumed, or when superseded, cancelled or aborted by `close()`
      */
-    async resume () {
-        return this.#enqueue(this.#operations.resume, 'resuming', 'resumed')
+    async resume (...args) {
+        return this.#enqueue('resume', { args })
     }
 
     /**
-     * Waits for the resource to reach a specific state.
-     * Useful for coordinating complex sequences of lifecycle operations.
-     * @param {string} queryState - The desired state to wait for
-     * @returns {Promise<void>} Resolves when target state is reached
+     * Calls operations with options that apply to those calls only.
+     * @param {CallOptions} options - Options for the calls
+     * @returns {Object<string, (...args: any[]) => Promise<void|Superseded|Cancelled|Aborted>>} Every operation, by name,
+     * taking the same arguments as the lifecycle's methods
      * @example
-     * resource.open()              // Start opening
-     * await resource.until('opened') // Wait for completion
+     * await resource.with({ timeout: 5000, retry: { attempts: 5 } }).open(config)
      */
-    async until (queryState) {
-        await this.#stateMachine.until(queryState)
+    with ({ timeout, retry } = {}) {
+        return Object.fromEntries(Object.keys(this.#definitions).map((name) => [
+            name,
+            async (/** @type {any[]} */ ...args) => this.#enqueue(name, { timeout, retry, args }),
+        ]))
     }
 
     /**
-     * Registers a callback to be notified of state transitions.
-     * @param {Function} onTransition - Function called with each new state
+     * Closes the resource when it goes out of scope with `await using`, or is disposed by an `AsyncDisposableStack`.
+     * Does nothing if the resource was never opened or is already closed.
+     * @returns {Promise<void>} Resolves when closed
+     * @example
+     * await using db = await openedResource(new Lifecycle({ open, close }))
      */
-    on (onTransition) {
-        this.#onTransition = onTransition
+    async [Symbol.asyncDispose] () {
+        if (this.is('init', 'closed')) {
+            return
+        }
+
+        await this.close()
     }
 
     /**
-     * Checks if the current state matches any of the specified states.
-     * @param {...string} queryStates - One or more states to check against
-     * @returns {boolean} True if current state matches any specified state
+     * Waits for the resource to reach a specific state.
+     * Useful for coordinating complex sequences of lifecycle operations.
+     * Rejects if the state becomes unreachable, an operation leading to it fails, the timeout expires or the signal is aborted.
+     * @param {string} queryState - The desired state to wait for
+     * @param {Object} [options] - Limits on how long to wait
+     * @param {number} [options.timeout] - How long to wait, in milliseconds
+     * @param {AbortSignal} [options.signal] - Stops waiting when aborted
+     * @returns {Promise<void>} Resolves when target state is reached
      * @example
-     * if (resource.is('opened', 'resumed')) {
-     *   // Resource is ready for use
-     * }
+     * resource.open()              // Start opening
+     * await resource.until('opened') // Wait for completion
      */
-    is (...queryStates) {
-        return queryStates.includes(this.#stateMachine.state)
+    async until (queryState, options) {
+        await this.#stateMachine.until(queryState, options)
     }
 
     /**
-     * Checks if the current state does not match any of the specified states.
-     * @param {...string} queryStates - One or more states to check against
-     * @returns {boolean} True if current state doesn't match any specified state
+     * Runs a callback while the resource is usable and tracks it as in-flight work.
+     *
+     * Waits for the resource to be opened or resumed before running the callback.
+     * Suspend and close wait for in-flight callbacks to finish before running their operation.
+     * Calls made while suspending are held until the resource resumes, and calls made
+     * once the resource is heading for a state it can't be used from again, like while closing, reject.
+     * Calls waiting or made while the lifecycle is 'errored' reject with its error as `cause`.
+     *
+     * With an idle policy, a call made while suspended resumes the resource first.
+     *
+     * @template T
+     * @param {() => T|Promise<T>} callback - The work to run
+     * @returns {Promise<T>} Resolves with the callback's result
+     * @throws {LifecycleError} If the resource can no longer be opened or resumed, or is errored
      * @example
-     * if (resource.not('closed', 'error')) {
-     *   // Resource is still usable
-     * }
+     * const rows = await db.use(() => connection.query('select 1'))
      */
-    not (...queryStates) {
-        return !queryStates.includes(this.#stateMachine.state)
-    }
+    async use (callback) {
+        let resuming = false
+
+        while (!this.is('opened', 'resumed')) {
+            if (this.#idleOptions?.resume && !resuming && this.is('suspending', 'suspended')) {
+                resuming = true
+                this.resume().catch(noop)
+            }
+
+            const heading = this.#running?.toState ?? this.state
+
+            if (
+                this.is('errored')
+                || (!this.#stateMachine.reaches('opened', heading) && !this.#stateMachine.reaches('resumed', heading))
+            ) {
+                throw new LifecycleError(`Cannot use resource while ${this.state}`, {
+                    lifecycle: this.#name,
+                    from: this.state,
+                    to: heading,
+                    cause: this.#error ?? undefined,
+                })
+            }
+
+            await new Promise((resolve) => this.once(resolve))
+        }
+
+        this.#inFlight++
+        this.#watchIdle()
+
+        try {
+            return await callback()
+        } finally {
+            this.#inFlight--
+
+            if (this.#inFlight === 0) {
+                this.#drainResolvers.forEach((resolve) => resolve())
+                this.#drainResolvers.clear()
+            }
+
+            this.#watchIdle()
+        }
+    }
+
+    /**
+     * Registers a listener to be notified of state transitions.
+     * Listeners registered without a state are called for every transition.
+     * The 'retry' event is called with a {@link RetryEvent} before each retry,
+     * the 'health' event with a {@link HealthEvent} when the health status changes, and
+     * the 'coalesce' event with a {@link CoalescedEvent} when a call is coalesced with or cancels a queued operation.
+     * Errors thrown by listeners are ignored so they can't break a transition.
+     * @param {string|Listener} state - The state or event to listen for, or a listener for every state
+     * @param {Listener} [listener] - Function called with a transition event
+     * @returns {() => void} Function that removes the listener
+     * @example
+     * const off = resource.on((event) => {
+     *     console.log(`${event.operation}: ${event.from} -> ${event.to}`)
+     * })
+     *
+     * resource.on('closed', () => console.log('closed'))
+     *
+     * off()
+     */
+    on (state, listener) {
+        if (typeof state === 'function') {
+            return this.on('*', state)
+        }
+
+        if (!this.#listeners.has(state)) {
+            this.#listeners.set(state, new Set())
+        }
+
+        this.#listeners.get(state).add(listener)
+
+        return () => this.off(state, listener)
+    }
+
+    /**
+     * Removes a listener registered with `on()` or `once()`.
+     * @param {string|Listener} state - The state the listener was registered for, or a listener for every state
+     * @param {Listener} [listener] - The listener to remove
+     * @returns {void}
+     */
+    off (state, listener) {
+        if (typeof state === 'function') {
+            this.off('*', state)
+            return
+        }
+
+        const listeners = this.#listeners.get(state)
+
+        if (!listeners) {
+            return
+        }
+
+        for (const registered of listeners) {
+            if (registered === listener || registered.listener === listener) {
+                listeners.delete(registered)
+            }
+        }
+
+        if (listeners.size === 0) {
+            this.#listeners.delete(state)
+        }
+    }
+
+    /**
+     * Registers a listener that is removed after its first call.
+     * @param {string|Listener} state - The state to listen for, or a listener for every state
+     * @param {Listener} [listener] - Function called with a transition event
+     * @returns {() => void} Function that removes the listener
+     */
+    once (state, listener) {
+        if (typeof state === 'function') {
+            return this.once('*', state)
+        }
+
+        /** @type {Listener & { listener?: Listener }} */
+        const wrapper = (event) => {
+            this.off(state, wrapper)
+            listener(event)
+        }
+
+        wrapper.listener = listener
+
+        return this.on(state, wrapper)
+    }
+
+    /**
+     * Iterates over transitions as they happen, starting from when it's called.
+     * Transitions are buffered until read, so none are missed between iterations.
+     * Iteration finishes after the lifecycle reaches 'closed', or another state without outgoing transitions,
+     * or as soon as the signal is aborted.
+     * @param {Object} [options] - When to stop early
+     * @param {AbortSignal} [options.signal] - Finishes the iteration when aborted, dropping unread transitions
+     * @returns {AsyncIterableIterator<TransitionEvent>} The transition events
+     * @example
+     * for await (const { from, to, operation } of resource.changes({ signal })) {
+     *     console.log(`${operation}: ${from} -> ${to}`)
+     * }
+     */
+    changes ({ signal } = {}) {
+        return iterate(
+            (push) => this.on(push),
+            (event) => this.#isFinal(event.to),
+            this.#isFinal(this.state),
+            signal,
+        )
+    }
+
+    /**
+     * Checks if the current state matches any of the specified states.
+     * @param {...string} queryStates - One or more states to check against
+     * @returns {boolean} True if current state matches any specified state
+     * @example
+     * if (resource.is('opened', 'resumed')) {
+     *   // Resource is ready for use
+     * }
+     */
+    is (...queryStates) {
+        return queryStates.includes(this.#stateMachine.state)
+    }
+
+    /**
+     * Checks if the current state does not match any of the specified states.
+     * @param {...string} queryStates - One or more states to check against
+     * @returns {boolean} True if current state doesn't match any specified state
+     * @example
+     * if (resource.not('closed', 'error')) {
+     *   // Resource is still usable
+     * }
+     */
+    not (...queryStates) {
+        return !queryStates.includes(this.#stateMachine.state)
+    }
+
+    /**
+     * Summarizes the lifecycle's history.
+     * @returns {HistorySummary} Time spent in each state, including the current one, and the most recent failure
+     * @example
+     * const { durations, lastFailure } = resource.summary()
+     * console.log(`opened for ${durations.opened}ms, suspended for ${durations.suspended}ms`)
+     */
+    summary () {
+        const durations = { ...this.#durations }
+        durations[this.state] = (durations[this.state] ?? 0) + Date.now() - this.#enteredAt
+
+        return {
+            durations,
+            operations: this.#history.length,
+            lastFailure: this.#lastFailure,
+        }
+    }
+
+    /**
+     * Renders the lifecycle's transitions as a Mermaid `stateDiagram-v2`, including custom states and operations.
+     * Transitions into an operation's interim state are labelled with the operation's name.
+     * @param {Object} [options] - What to highlight
+     * @param {boolean} [options.highlight] - Whether to highlight the current state and the states visited in the history
+     * @returns {string} The Mermaid source
+     * @example
+     * await fs.writeFile('docs/lifecycle.mmd', resource.toMermaid())
+     */
+    toMermaid ({ highlight = false } = {}) {
+        return toMermaid(this.#transitions, this.#diagram(highlight))
+    }
+
+    /**
+     * Renders the lifecycle's transitions as a Graphviz DOT digraph, including custom states and operations.
+     * Transitions into an operation's interim state are labelled with the operation's name.
+     * @param {Object} [options] - What to highlight, and the graph name
+     * @param {boolean} [options.highlight] - Whether to highlight the current state and the transitions taken in the history
+     * @param {string} [options.name] - The name of the digraph, defaults to the lifecycle's name or 'lifecycle'
+     * @returns {string} The DOT source
+     * @example
+     * await fs.writeFile('docs/lifecycle.dot', resource.toDot({ highlight: true }))
+     */
+    toDot ({ highlight = false, name = this.#name ?? undefined } = {}) {
+        return toDot(this.#transitions, { ...this.#diagram(highlight), name })
+    }
+
+    /**
+     * Captures the lifecycle's state, history and metadata as JSON-serializable data.
+     * Pass the snapshot to `Lifecycle.restore()` to rebuild an equivalent lifecycle, like after a restart.
+     * @returns {Snapshot} The snapshot
+     * @example
+     * await fs.writeFile('consumer.json', JSON.stringify(consumer.snapshot()))
+     */
+    snapshot () {
+        return {
+            version: 1,
+            state: this.state,
+            error: serializeError(this.#error),
+            failedOperation: this.#failedOperation,
+            metadata: structuredClone(this.metadata),
+            history: this.#history.map((entry) => ({
+                ...entry,
+                error: serializeError(entry.error),
+            })),
+        }
+    }
+
+    /**
+     * Rebuilds a lifecycle from a snapshot and runs the operations needed to reach an equivalent state.
+     *
+     * A snapshot taken in 'init', 'closed' or 'errored' starts in that state without running anything.
+     * Other states are reached with the shortest sequence of operations from 'init', like opening then
+     * suspending for 'suspended'. A snapshot taken during an operation restores the operation's final state.
+     * The restored lifecycle's history and last failure come from the snapshot, not from the operations replayed.
+     *
+     * @param {Snapshot} snapshot - A snapshot from `lifecycle.snapshot()`
+     * @param {Object} [operations] - Lifecycle handler functions, as for the constructor
+     * @param {Object} [options] - Lifecycle configuration, as for the constructor
+     * @returns {Promise<Lifecycle>} Resolves with the restored lifecycle once it reaches the snapshot's state
+     * @throws {LifecycleError} If the snapshot's state can't be reached with the lifecycle's operations,
+     * or replaying them ends in another state, like when a guard refuses one. The lifecycle is closed before throwing.
+     * @throws {OperationFailedError} If a replayed operation fails. The lifecycle is closed before throwing.
+     * @example
+     * const snapshot = JSON.parse(await fs.readFile('consumer.json', 'utf8'))
+     * const consumer = await Lifecycle.restore(snapshot, { open, suspend, resume, close })
+     */
+    static async restore (snapshot, operations = {}, options = {}) {
+        const lifecycle = new this(operations, {
+            ...options,
+            metadata: structuredClone(snapshot.metadata ?? {}),
+        })
+
+        const history = (snapshot.history ?? []).map((entry) => Object.freeze({
+            ...entry,
+            error: deserializeError(entry.error),
+        }))
+
+        const running = Object.values(lifecycle.#definitions)
+            .find((definition) => definition.interimState === snapshot.state)
+        const target = running?.toState ?? snapshot.state
+
+        if (['init', 'closed', 'errored'].includes(target)) {
+            lifecycle.#stateMachine = new StateMachine(lifecycle.#transitions, {
+                ...lifecycle.#machineOptions,
+                initial: target,
+            })
+            lifecycle.#error = deserializeError(snapshot.error)
+            lifecycle.#failedOperation = snapshot.failedOperation ?? null
+            lifecycle.#restoreHistory(history)
+            return lifecycle
+        }
+
+        const path = lifecycle.#plan('init', target)
+
+        if (!path) {
+            throw new LifecycleError(`Cannot restore state: ${target}`, {
+                lifecycle: lifecycle.#name,
+                from: 'init',
+                to: target,
+            })
+        }
+
+        try {
+            for (const operator of path) {
+                await lifecycle.#enqueue(operator)
+            }
+
+            if (lifecycle.state !== target) {
+                throw new LifecycleError(`Cannot restore state: ${target}, reached ${lifecycle.state} instead`, {
+                    lifecycle: lifecycle.#name,
+                    from: lifecycle.state,
+                    to: target,
+                })
+            }
+        } catch (error) {
+            await lifecycle.close().catch(noop)
+            throw error
+        }
+
+        lifecycle.#restoreHistory(history)
+        return lifecycle
+    }
 
     /**
      * Resets the resource to initial state.
      * Useful for restarting after completion or recovering from errors.
+     * Listeners are notified of the step back to 'init' as a transition by the 'reset' operation.
      */
-     reset () {
-         this.#queue = new Queue((item) => {
-             return this.#run(item.operation, item.interimState, item.toState)
-         })
-         this.#stateMachine = new StateMachine(this.#transitions)
-     }
+    reset () {
+        const from = this.state
+
+        this.#queue = this.#createQueue()
+        this.#stateMachine = new StateMachine(this.#transitions, this.#machineOptions)
+        this.#error = null
+        this.#failedOperation = null
+
+        if (from !== 'init') {
+            this.#notify(from, 'init', 'reset', Date.now(), null)
+        }
+    }
 
     /**
      * Executes a lifecycle operation with proper state transitions.
@@ -357,31 +1398,627 @@ export default class Lifecycle {
      * the interim state, executes the operation, then transitions to the
      * final state if appropriate.
      *
-     * If the interim state transition is not allowed, the operation is skipped.
+     * If the interim state transition is not allowed, the operation is skipped,
+     * or in strict mode rejected with an `InvalidTransitionError`.
      * If another operation changes the state during execution, the final
-     * transition is also skipped.
+     * transition is also skipped. If a guard refuses the final transition, or an entry or exit action
+     * throws, the operation fails like a handler that throws. An exit action that throws leaves the state as it was.
+     * In strict mode, the error's `allowedOperations` come from the transition map, without running other guards.
+     *
+     * The operation receives an {@link OperationContext} whose signal is aborted when
+     * the operation times out or is interrupted by another operation, like `close()`,
+     * followed by the arguments it was called with.
      *
-     * @param {Function} operation - The operation function to execute
-     * @param {string} interimState - The state to transition to before executing the operation
-     * @param {string} toState - The state to transition to after successful execution
-     * @returns {Promise<void>} Resolves when the operation completes
+     * If the operation rejects with the abort reason after being interrupted, it was aborted rather than failed:
+     * it's recorded with the 'aborted' outcome, stays in its interim state for the interrupting operation to take
+     * over, and its callers resolve with an {@link Aborted} result. Any other error still fails the operation.
+     *
+     * If the operation throws or outlives its timeout, the lifecycle moves to 'errored',
+     * remembers the error and the operation name, rejects pending `until()` waiters for its final state and rethrows.
+     * Errors thrown by the handler are wrapped in an `OperationFailedError` with the original as `cause`,
+     * even lifecycle errors from other lifecycles. Only the operation's own `TimeoutError` is thrown as is.
+     *
+     * @param {QueueItem} item - The queued operation to execute
+     * @returns {Promise<void>} Resolves when the operation completes, or when aborted
+     * @throws {InvalidTransitionError} In strict mode, if the operation isn't allowed from the current state
+     */
+    async #run (item) {
+        const { operator, interimState, toState, timeout, retry, args } = item
+        const checked = this.#stateMachine.check(interimState)
+
+        if (!checked.allowed) {
+            if (this.#strict) {
+                const { reason } = checked
+                const transitions = this.#transitions[this.state] || []
+                const allowedOperations = Object.keys(this.#definitions).filter((name) => {
+                    const state = this.#definitions[name].interimState
+                    return state !== interimState && transitions.includes(state)
+                })
+                const allowed = allowedOperations.length > 0
+                    ? `allowed operations are ${allowedOperations.join(', ')}`
+                    : 'no operations are allowed'
+
+                throw new InvalidTransitionError(`Cannot ${operator} while ${this.state}: ${allowed}`, {
+                    lifecycle: this.#name,
+                    from: this.state,
+                    to: interimState,
+                    operation: operator,
+                    reason,
+                    allowedOperations,
+                })
+            }
+
+            return
+        }
+
+        const previous = { error: this.#error, failedOperation: this.#failedOperation }
+        this.#error = null
+        this.#failedOperation = null
+
+        const from = this.state
+        const startedAt = Date.now()
+        this.#arguments[operator] = args
+
+        try {
+            this.#enter(interimState, operator, startedAt, null, checked)
+        } catch (cause) {
+            const error = this.#wrap(operator, from, toState, cause)
+
+            if (this.#stateMachine.state === from) {
+                this.#error = previous.error
+                this.#failedOperation = previous.failedOperation
+            } else {
+                this.#fail(operator, startedAt, error, [toState])
+            }
+
+            this.#record(operator, from, startedAt, error)
+            throw error
+        }
+
+        const operation = this.#operations[operator]
+        const controller = new AbortController()
+
+        this.#running = { interimState, toState, controller, interruptedBy: null }
+
+        /** @type {Set<Error>} Errors created by this run, which are thrown without being wrapped */
+        const own = new Set()
+
+        try {
+            if (this.#definitions[operator]?.drain) {
+                await this.#drain(this.#definitions[operator].drainTimeout, controller.signal)
+            }
+
+            for (let attempt = 1; ; attempt++) {
+                const attemptController = new AbortController()
+
+                /** @type {OperationContext} */
+                const context = {
+                    lifecycle: this,
+                    operation: operator,
+                    from,
+                    to: toState,
+                    signal: AbortSignal.any([controller.signal, attemptController.signal]),
+                    attempt,
+                }
+
+                try {
+                    await withTimeout(operation(context, ...args), timeout, () => {
+                        const error = new TimeoutError(`Operation ${operator} timed out after ${timeout}ms`, {
+                            lifecycle: this.#name,
+                            from,
+                            to: toState,
+                            operation: operator,
+                            timeout,
+                        })
+
+                        own.add(error)
+                        attemptController.abort(error)
+                        return error
+                    })
+
+                    break
+                } catch (error) {
+                    if (
+                        !retry
+                        || controller.signal.aborted
+                        || attempt >= (retry.attempts ?? 3)
+                        || !(retry.shouldRetry?.(error, attempt) ?? true)
+                    ) {
+                        throw error
+                    }
+
+                    const delay = retryDelay(retry, attempt)
+                    this.#emit('retry', { operation: operator, attempt, error, delay })
+
+                    await sleep(delay, controller.signal)
+
+                    if (controller.signal.aborted) {
+                        throw controller.signal.reason
+                    }
+                }
+            }
+        } catch (cause) {
+            const { interruptedBy } = this.#running
+
+            if (interruptedBy && cause === controller.signal.reason && this.#stateMachine.state === interimState) {
+                this.#record(operator, from, startedAt, null, 'aborted')
+                this.#aborted.set(item, { aborted: true, by: interruptedBy })
+                return
+            }
+
+            const error = own.has(cause) ? cause : this.#wrap(operator, from, toState, cause)
+
+            if (this.#stateMachine.state === interimState) {
+                this.#fail(operator, startedAt, error, [toState])
+            }
+
+            this.#record(operator, from, startedAt, error)
+            throw error
+        } finally {
+            this.#running = null
+        }
+
+        if (this.#stateMachine.state === interimState) {
+            const finished = this.#stateMachine.check(toState)
+            let error = null
+
+            if (!finished.allowed) {
+                error = new InvalidTransitionError(`Invalid transition from ${interimState} to ${toState}: ${finished.reason}`, {
+                    lifecycle: this.#name,
+                    from: interimState,
+                    to: toState,
+                    operation: operator,
+                    reason: finished.reason,
+                })
+            } else {
+                try {
+                    this.#enter(toState, operator, startedAt, null, finished)
+                } catch (cause) {
+                    error = this.#wrap(operator, from, toState, cause)
+                }
+            }
+
+            if (error) {
+                this.#fail(operator, startedAt, error, [toState])
+                this.#record(operator, from, startedAt, error)
+                throw error
+            }
+        }
+
+        this.#record(operator, from, startedAt)
+    }
+
+    /**
+     * Wraps an error thrown while running an operation in an `OperationFailedError`.
+     * @param {string} operator - The name of the operation
+     * @param {string} from - The state the operation started from
+     * @param {string} toState - The state the operation was leading to
+     * @param {any} cause - The error thrown
+     * @returns {OperationFailedError} The error the operation fails with
+     */
+    #wrap (operator, from, toState, cause) {
+        return new OperationFailedError(`Operation ${operator} failed: ${cause?.message ?? cause}`, {
+            lifecycle: this.#name,
+            from,
+            to: toState,
+            operation: operator,
+            cause,
+        })
+    }
+
+    /**
+     * Moves the lifecycle to 'errored' if allowed, remembering the error and
+     * rejecting pending `until()` waiters for the states the failure stranded.
+     * Waiters for states that are no longer reachable are rejected by the transition itself.
+     * @param {string} operator - The name of the operation that failed
+     * @param {number} startedAt - When the operation started, in milliseconds since the epoch
+     * @param {Error} error - The error that caused the failure
+     * @param {string[]} [stranded] - The states the failed operation was leading to
      */
-    async #run (operation, interimState, toState) {
-        if (!this.#stateMachine.allows(interimState)) {
+    #fail (operator, startedAt, error, stranded = []) {
+        const checked = this.#stateMachine.check('errored')
+
+        if (!checked.allowed) {
             return
         }
 
-        this.#stateMachine.transition(interimState)
-        this.#onTransition(interimState)
+        this.#error = error
+        this.#failedOperation = operator
+        this.#enter('errored', operator, startedAt, error, checked)
+        this.#stateMachine.fail(error, stranded)
+    }
+
+    /**
+     * Finds the shortest sequence of operations leading from one state to another.
+     * @param {string} fromState - The state to start from
+     * @param {string} toState - The state to reach
+     * @returns {string[]|null} The operation names in order, or null if the state can't be reached
+     */
+    #plan (fromState, toState) {
+        const paths = new Map([[fromState, []]])
+        const pending = [fromState]
+
+        while (pending.length > 0) {
+            const state = pending.shift()
+
+            if (state === toState) {
+                return paths.get(state)
+            }
+
+            for (const [name, definition] of Object.entries(this.#definitions)) {
+                const allowed = this.#transitions[state] || []
+
+                if (
+                    allowed.includes(definition.interimState)
+                    && this.#transitions[definition.interimState]?.includes(definition.toState)
+                    && !paths.has(definition.toState)
+                ) {
+                    paths.set(definition.toState, [...paths.get(state), name])
+                    pending.push(definition.toState)
+                }
+            }
+        }
+
+        return null
+    }
+
+    /**
+     * Builds the labels, and optionally the highlighted state and path, for a diagram.
+     * The path follows the history through each operation's interim state, ending at the current state.
+     * @param {boolean} highlight - Whether to include the current state and path
+     * @returns {import('./graph.js').GraphOptions} The diagram options
+     */
+    #diagram (highlight) {
+        /** @type {Object<string, Object<string, string>>} */
+        const labels = {}
+
+        for (const [name, { interimState }] of Object.entries(this.#definitions)) {
+            for (const [from, targets] of Object.entries(this.#transitions)) {
+                if (targets.includes(interimState)) {
+                    labels[from] ??= {}
+                    labels[from][interimState] = labels[from][interimState] ? `${labels[from][interimState]}, ${name}` : name
+                }
+            }
+        }
+
+        if (!highlight) {
+            return { labels }
+        }
+
+        /** @type {string[]} */
+        const path = []
 
-        await operation()
+        /** @param {string} [state] */
+        const visit = (state) => {
+            if (state && path.at(-1) !== state) {
+                path.push(state)
+            }
+        }
 
-        if (
-            this.#stateMachine.state === interimState
-            && this.#stateMachine.allows(toState)
-        ) {
-            this.#stateMachine.transition(toState)
-            this.#onTransition(toState)
+        for (const entry of this.#history) {
+            visit(entry.from)
+            visit(this.#definitions[entry.operation]?.interimState)
+            visit(entry.to)
+        }
+
+        visit(this.state)
+
+        return { labels, state: this.state, path }
+    }
+
+    /**
+     * Replaces the history with restored entries, in place of the operations replayed to restore the state,
+     * and takes the last failure from them.
+     * @param {HistoryEntry[]} history - The restored entries, oldest first
+     */
+    #restoreHistory (history) {
+        this.#history = history.slice(-this.#historySize)
+        this.#lastFailure = history.findLast((entry) => entry.outcome === 'error') ?? null
+    }
+
+    /**
+     * Adds an operation to the history, dropping the oldest entry when full.
+     * @param {string} operation - The name of the operation
+     * @param {string} from - The state before the operation started
+     * @param {number} startedAt - When the operation started, in milliseconds since the epoch
+     * @param {Error} [error] - The error the operation failed with, if any
+     * @param {HistoryEntry['outcome']} [outcome] - How the operation ended, defaults to 'error' with an error and 'success' without
+     */
+    #record (operation, from, startedAt, error = null, outcome = error ? 'error' : 'success') {
+        const endedAt = Date.now()
+
+        /** @type {HistoryEntry} */
+        const entry = Object.freeze({
+            operation,
+            from,
+            to: this.state,
+            startedAt,
+            endedAt,
+            duration: endedAt - startedAt,
+            outcome,
+            error,
+        })
+
+        this.#history.push(entry)
+
+        if (this.#history.length > this.#historySize) {
+            this.#history.shift()
+        }
+
+        if (outcome === 'error') {
+            this.#lastFailure = entry
+        }
+    }
+
+    /**
+     * Adds the time spent in a state that is being left to its total.
+     * @param {string} state - The state being left
+     */
+    #track (state) {
+        const now = Date.now()
+        this.#durations[state] = (this.#durations[state] ?? 0) + now - this.#enteredAt
+        this.#enteredAt = now
+    }
+
+    /**
+     * Starts health checks when the resource becomes usable and stops them when it isn't.
+     */
+    #watchHealth () {
+        const usable = this.is('opened', 'resumed')
+
+        if (usable && !this.#healthTimer && this.#healthCheck) {
+            this.#health = 'unknown'
+            this.#healthFailures = 0
+            this.#healthTimer = setInterval(() => this.#checkHealth(), this.#healthOptions.interval)
+            this.#healthTimer.unref?.()
+        } else if (!usable && this.#healthTimer) {
+            clearInterval(this.#healthTimer)
+            this.#healthTimer = null
+            this.#healthController?.abort(new DOMException(`Health checks stopped while ${this.state}`, 'AbortError'))
+        }
+    }
+
+    /**
+     * Restarts the idle timer while the resource is usable and has no in-flight work,
+     * and stops it otherwise.
+     */
+    #watchIdle () {
+        if (!this.#idleOptions) {
+            return
+        }
+
+        clearTimeout(this.#idleTimer)
+        this.#idleTimer = null
+
+        if (this.is('opened', 'resumed') && this.#inFlight === 0) {
+            this.#idleTimer = setTimeout(() => {
+                this.#idleTimer = null
+                this.suspend().catch(noop)
+            }, this.#idleOptions.timeout)
+            this.#idleTimer.unref?.()
+        }
+    }
+
+    /**
+     * Runs the health check and applies the unhealthy policy once failures reach the threshold.
+     * A check fails when it throws or returns false.
+     * The check receives an {@link OperationContext} like handlers do, whose `attempt` counts the consecutive checks
+     * since the last one that passed, and whose signal is aborted when checks stop.
+     * @returns {Promise<void>} Resolves when the check and any policy action have started
+     */
+    async #checkHealth () {
+        if (this.#healthController) {
+            return
+        }
+
+        const controller = new AbortController()
+        this.#healthController = controller
+
+        /** @type {OperationContext} */
+        const context = {
+            lifecycle: this,
+            operation: 'healthCheck',
+            from: this.state,
+            to: this.state,
+            signal: controller.signal,
+            attempt: this.#healthFailures + 1,
+        }
+
+        let error = null
+
+        try {
+            if (await this.#healthCheck(context) === false) {
+                error = new Error('Health check failed')
+            }
+        } catch (cause) {
+            error = cause
+        } finally {
+            this.#healthController = null
+        }
+
+        if (!this.#healthTimer) {
+            return
+        }
+
+        if (!error) {
+            this.#healthFailures = 0
+            this.#setHealth('healthy', null)
+            return
+        }
+
+        this.#healthFailures++
+
+        if (this.#healthFailures < this.#healthOptions.threshold || this.#health === 'unhealthy') {
+            return
+        }
+
+        this.#setHealth('unhealthy', error)
+
+        switch (this.#healthOptions.policy) {
+            case 'suspend':
+                this.suspend().catch(noop)
+                break
+            case 'restart':
+                this.#restart().catch(noop)
+                break
+            case 'error': {
+                const from = this.state
+                const startedAt = Date.now()
+                const failure = new OperationFailedError(`Operation healthCheck failed: ${error.message}`, {
+                    lifecycle: this.#name,
+                    from,
+                    to: 'errored',
+                    operation: 'healthCheck',
+                    cause: error,
+                })
+
+                this.#fail('healthCheck', startedAt, failure)
+                this.#record('healthCheck', from, startedAt, failure)
+                break
+            }
+        }
+    }
+
+    /**
+     * Updates the health status and emits a 'health' event when it changes.
+     * @param {string} health - The new health status
+     * @param {Error|null} error - The error from the latest failed check
+     */
+    #setHealth (health, error) {
+        if (this.#health === health) {
+            return
+        }
+
+        this.#health = health
+
+        /** @type {HealthEvent} */
+        const event = {
+            health,
+            failures: this.#healthFailures,
+            error,
+            timestamp: Date.now(),
+        }
+
+        this.#emit('health', event)
+    }
+
+    /**
+     * Closes the resource, resets it and opens it again.
+     * If close is called by anyone else during the restart, the resource stays closed.
+     * @returns {Promise<void>} Resolves when reopened, or when closed for good
+     */
+    async #restart () {
+        const args = this.#arguments.open ?? []
+        const closing = this.#enqueue('close')
+        const closes = this.#closes
+
+        this.#restarting = closes
+
+        try {
+            await closing
+
+            if (this.#closes !== closes) {
+                return
+            }
+
+            this.reset()
+        } finally {
+            this.#restarting = null
+        }
+
+        await this.open(...args)
+    }
+
+    /**
+     * Checks whether a state is final: one without outgoing transitions,
+     * other than 'closed' while a restart is going to reopen the resource.
+     * @param {string} state - The state to check
+     * @returns {boolean} True if no transitions will follow the state
+     */
+    #isFinal (state) {
+        return this.#transitions[state].length === 0 && this.#restarting !== this.#closes
+    }
+
+    /**
+     * Waits for in-flight `use()` callbacks to finish.
+     * @param {number} [timeout] - How long to wait, in milliseconds. Waits until drained when omitted.
+     * @param {AbortSignal} [signal] - Stops waiting when aborted
+     * @returns {Promise<void>} Resolves when drained, when the timeout expires, or when the signal is aborted
+     */
+    async #drain (timeout, signal) {
+        if (this.#inFlight === 0) {
+            return
+        }
+
+        const drained = new Promise((resolve) => this.#drainResolvers.add(resolve))
+        const controller = new AbortController()
+        const waits = [drained, sleep(timeout ?? Infinity, AbortSignal.any([signal, controller.signal]))]
+
+        await Promise.race(waits)
+        controller.abort()
+    }
+
+    /**
+     * Transitions the state machine and notifies listeners.
+     * Listeners are notified even if an entry action throws, since the state has changed.
+     * @param {string} toState - The state to transition to
+     * @param {string} operation - The name of the operation causing the transition
+     * @param {number} startedAt - When the operation started, in milliseconds since the epoch
+     * @param {Error} [error] - The error that caused the transition, if any
+     * @param {{ allowed: boolean, reason: string|null }} [checked] - The result of checking the transition, if already checked
+     */
+    #enter (toState, operation, startedAt, error = null, checked = undefined) {
+        const from = this.#stateMachine.state
+
+        try {
+            this.#stateMachine.transition(toState, checked)
+        } finally {
+            if (this.#stateMachine.state === toState) {
+                this.#notify(from, toState, operation, startedAt, error)
+            }
+        }
+    }
+
+    /**
+     * Notifies listeners of a transition that happened.
+     * @param {string} from - The state before the transition
+     * @param {string} toState - The state after the transition
+     * @param {string} operation - The name of the operation causing the transition
+     * @param {number} startedAt - When the operation started, in milliseconds since the epoch
+     * @param {Error|null} error - The error that caused the transition, if any
+     */
+    #notify (from, toState, operation, startedAt, error) {
+        this.#track(from)
+
+        /** @type {TransitionEvent} */
+        const event = {
+            from,
+            to: toState,
+            operation,
+            startedAt,
+            timestamp: Date.now(),
+            error,
+        }
+
+        this.#watchHealth()
+        this.#watchIdle()
+        this.#emit('*', event)
+        this.#emit(toState, event)
+    }
+
+    /**
+     * Calls the listeners registered for a state or event name.
+     * Errors thrown by listeners are ignored.
+     * @param {string} key - The state or event name
+     * @param {any} event - The payload passed to each listener
+     */
+    #emit (key, event) {
+        for (const listener of this.#listeners.get(key) || []) {
+            try {
+                listener(event)
+            } catch {
+                // listener errors must not break the transition
+            }
         }
     }
 
@@ -392,18 +2029,463 @@ export default class Lifecycle {
      * ensuring that lifecycle operations execute in the correct sequence
      * without race conditions.
      *
-     * @param {Function} operation - The operation function to execute
-     * @param {string} interimState - The state to transition to before executing the operation
-     * @param {string} toState - The state to transition to after successful execution
-     * @returns {Promise<void>} Resolves when the operation completes
+     * If the operation interrupts the interim state of the operation currently
+     * running, that operation's signal is aborted so it can bail out early.
+     *
+     * Urgent operations jump ahead of pending ones. Pending operations whose interim state
+     * can't be reached from the urgent operation's final state are superseded instead of run.
+     *
+     * An operation identical to the one it would run right after, even one already running,
+     * shares its promise. An operation that cancels the pending one before it drops both,
+     * as long as the transition map lets that one run from the state the operation before it leads to.
+     *
+     * @param {string} operator - The name of the operation to execute
+     * @param {Object} [options] - Overrides for the operation's definition
+     * @param {string} [options.interimState] - The state to transition to before executing the operation
+     * @param {string} [options.toState] - The state to transition to after successful execution
+     * @param {number} [options.timeout] - How long each attempt may run, in milliseconds
+     * @param {RetryPolicy} [options.retry] - How failed attempts are retried
+     * @param {any[]} [options.args] - Arguments passed to the operation after its context
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when the operation completes, or when superseded, cancelled or aborted
      */
-    async #enqueue (operation, interimState, toState) {
-        return this.#queue.enqueue({
-            operation,
-            interimState,
-            toState,
+    async #enqueue (operator, options = {}) {
+        const definition = this.#definitions[operator]
+
+        if (operator === 'close') {
+            this.#closes++
+        }
+
+        /** @type {QueueItem} */
+        const item = {
+            operator,
+            interimState: options.interimState ?? definition.interimState,
+            toState: options.toState ?? definition.toState,
+            timeout: options.timeout ?? definition.timeout,
+            retry: options.retry ?? definition.retry,
+            args: options.args ?? [],
+        }
+
+        if (definition.interrupts?.includes(this.#running?.interimState) && !this.#running.controller.signal.aborted) {
+            this.#running.interruptedBy = operator
+            this.#running.controller.abort(
+                new DOMException(`Operation was aborted by ${operator}`, 'AbortError'),
+            )
+        }
+
+        /** @type {QueueItem} The item run for this call, which is another call's when they're coalesced */
+        let runs = item
+
+        const result = await this.#queue.enqueue(item, {
+            urgent: definition.urgent,
+            supersedes: (pending) => !this.#stateMachine.reaches(pending.interimState, item.toState),
+            coalesces: (other) => {
+                const same = other.operator === item.operator &&
+                    other.interimState === item.interimState &&
+                    other.toState === item.toState &&
+                    other.timeout === item.timeout &&
+                    other.retry === item.retry &&
+                    other.args.length === item.args.length &&
+                    other.args.every((/** @type {any} */ arg, /** @type {number} */ index) => arg === item.args[index])
+
+                if (same) {
+                    runs = /** @type {QueueItem} */ (other)
+                }
+
+                return same
+            },
+            cancels: (other, before) => {
+                const state = before ? before.toState : this.state
+                return (definition.cancels?.includes(other.operator) ?? false)
+                    && (this.#transitions[state] || []).includes(other.interimState)
+            },
+        })
+
+        if (result && 'superseded' in result) {
+            return { superseded: true, by: result.by.operator }
+        }
+
+        if (result && 'cancelled' in result) {
+            return { cancelled: true, by: result.by.operator }
+        }
+
+        return this.#aborted.get(runs)
+    }
+
+    /**
+     * Creates the queue that runs operations, emitting 'coalesce' events as it coalesces them.
+     * @returns {Queue} The queue
+     */
+    #createQueue () {
+        return new Queue((item) => this.#run(/** @type {QueueItem} */ (item)), {
+            onCoalesce: ({ kind, item, other, callers }) => {
+                this.#emit('coalesce', {
+                    kind,
+                    operation: item.operator,
+                    with: other.operator,
+                    callers,
+                    timestamp: Date.now(),
+                })
+            },
         })
     }
 }
 
+/**
+ * @typedef {Object} OperationDefinition
+ * @property {string} interimState - The state held while the operation runs
+ * @property {string} toState - The state reached when the operation succeeds
+ * @property {number} [timeout] - How long each attempt of the operation may run, in milliseconds
+ * @property {RetryPolicy} [retry] - How failed attempts are retried
+ * @property {string[]} [interrupts] - Interim states whose running operation is aborted when this operation is called
+ * @property {boolean} [urgent] - Whether the operation jumps ahead of pending operations, superseding those it makes pointless
+ * @property {string[]} [cancels] - Operations that this one undoes, so that when one of them is pending right before it, neither runs
+ * @property {boolean} [drain] - Whether the operation waits for in-flight `use()` callbacks to finish before running
+ * @property {number} [drainTimeout] - How long to wait for in-flight `use()` callbacks, in milliseconds
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [attempts=3] - The maximum number of attempts, including the first
+ * @property {number} [delay=100] - The delay before the first retry, in milliseconds
+ * @property {number} [factor=2] - The multiplier applied to the delay after each retry
+ * @property {number} [maxDelay=30000] - The longest delay between attempts, in milliseconds
+ * @property {number} [jitter=0] - The fraction of each delay, from 0 to 1, that is randomized
+ * @property {(error: Error, attempt: number) => boolean} [shouldRetry] - Decides whether a failed attempt is retried
+ */
+
+/**
+ * @typedef {Object} RetryEvent
+ * @property {string} operation - The name of the operation being retried
+ * @property {number} attempt - The number of the attempt that failed, starting at 1
+ * @property {Error} error - The error thrown by the failed attempt
+ * @property {number} delay - How long until the next attempt, in milliseconds
+ */
+
+/**
+ * @typedef {Object} HealthOptions
+ * @property {number} [interval=30000] - How often to run the health check while opened or resumed, in milliseconds
+ * @property {number} [threshold=3] - How many consecutive failed checks make the resource unhealthy
+ * @property {'emit'|'suspend'|'restart'|'error'} [policy='emit'] - What to do when the resource becomes unhealthy:
+ * only emit a 'health' event, suspend it, close and reopen it, or move it to 'errored'
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} operation - The name of the operation
+ * @property {string} from - The state before the operation started
+ * @property {string} to - The state after the operation finished
+ * @property {number} startedAt - When the operation started, in milliseconds since the epoch
+ * @property {number} endedAt - When the operation finished, in milliseconds since the epoch
+ * @property {number} duration - How long the operation took, in milliseconds
+ * @property {'success'|'error'|'aborted'} outcome - Whether the operation succeeded, failed, or was aborted by another operation like `close()`
+ * @property {Error|null} error - The error the operation failed with, if any
+ */
+
+/**
+ * @typedef {Object} SerializedError
+ * @property {string} name - The error's name
+ * @property {string} message - The error's message
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {number} version - The snapshot format version
+ * @property {string} state - The lifecycle's state when the snapshot was taken
+ * @property {SerializedError|null} error - The error that moved the lifecycle to 'errored', if any
+ * @property {string|null} failedOperation - The operation that moved the lifecycle to 'errored', if any
+ * @property {Object<string, any>} metadata - The lifecycle's user data
+ * @property {Array<Omit<HistoryEntry, 'error'> & { error: SerializedError|null }>} history - The lifecycle's recent operations
+ */
+
+/**
+ * @typedef {Object} HistorySummary
+ * @property {Object<string, number>} durations - Milliseconds spent in each state, including the current one
+ * @property {number} operations - The number of operations in the history
+ * @property {HistoryEntry|null} lastFailure - The most recent failed operation, even if it's no longer in the history
+ */
+
+/**
+ * @typedef {Object} IdleOptions
+ * @property {number} timeout - How long the resource may go without `use()` calls before it's suspended, in milliseconds
+ * @property {boolean} [resume=true] - Whether a `use()` call resumes a suspended resource
+ */
+
+/**
+ * @typedef {Object} HealthEvent
+ * @property {string} health - The new health status, 'healthy' or 'unhealthy'
+ * @property {number} failures - The number of consecutive failed checks
+ * @property {Error|null} error - The error from the latest failed check
+ * @property {number} timestamp - When the status changed, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} OperationContext
+ * @property {Lifecycle} lifecycle - The lifecycle running the operation
+ * @property {string} operation - The name of the operation
+ * @property {string} from - The state the operation started from
+ * @property {string} to - The state the operation leads to when it succeeds
+ * @property {AbortSignal} signal - Aborted when the attempt times out or the operation is interrupted, like by `close()` during `open()`
+ * @property {number} attempt - The number of the current attempt, starting at 1
+ */
+
+/**
+ * @typedef {Object} CallOptions
+ * @property {number} [timeout] - How long each attempt may run, in milliseconds, overriding the configured timeout
+ * @property {RetryPolicy} [retry] - How failed attempts are retried, overriding the configured policy
+ */
+
+/**
+ * @typedef {Object} QueueItem
+ * @property {string} operator - The name of the operation to execute
+ * @property {string} interimState - The state to transition to before executing the operation
+ * @property {string} toState - The state to transition to after successful execution
+ * @property {number} [timeout] - How long each attempt may run, in milliseconds
+ * @property {RetryPolicy} [retry] - How failed attempts are retried
+ * @property {any[]} args - Arguments passed to the operation after its context
+ */
+
+/**
+ * The result of a queued operation that never ran, because an urgent operation made it pointless.
+ * @typedef {Object} Superseded
+ * @property {true} superseded - Always true
+ * @property {string} by - The name of the urgent operation
+ */
+
+/**
+ * The result of a queued operation that never ran, because it and another operation undid each other.
+ * @typedef {Object} Cancelled
+ * @property {true} cancelled - Always true
+ * @property {string} by - The name of the other operation
+ */
+
+/**
+ * The result of an operation that was aborted by another operation, like an open interrupted by `close()`.
+ * @typedef {Object} Aborted
+ * @property {true} aborted - Always true
+ * @property {string} by - The name of the interrupting operation
+ */
+
+/**
+ * @typedef {Object} PendingOperation
+ * @property {string} operation - The name of the operation
+ * @property {number} callers - How many calls share the operation's promise
+ * @property {boolean} running - Whether the operation is running, rather than waiting
+ */
+
+/**
+ * @typedef {Object} CoalescedEvent
+ * @property {'coalesced'|'cancelled'} kind - Whether the call shares a queued operation's promise, or both were cancelled
+ * @property {string} operation - The name of the operation called
+ * @property {string} with - The name of the queued operation
+ * @property {number} callers - How many calls share the queued operation's promise
+ * @property {number} timestamp - When it happened, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} TransitionEvent
+ * @property {string} from - The state before the transition
+ * @property {string} to - The state after the transition
+ * @property {string} operation - The name of the operation causing the transition
+ * @property {number} startedAt - When the operation started, in milliseconds since the epoch
+ * @property {number} timestamp - When the transition happened, in milliseconds since the epoch
+ * @property {Error|null} error - The error that caused the transition, if any
+ */
+
+/**
+ * @callback Listener
+ * @param {any} event - The {@link TransitionEvent} that happened, or the payload of an event like {@link RetryEvent} or {@link HealthEvent}
+ * @returns {void}
+ */
+
+/** @type {Object<string, string[]>} The built-in transition map */
+const defaultTransitions = Object.freeze({
+    init: ['opening'],
+    opening: ['opened', 'closing', 'errored'],
+    opened: ['suspending', 'closing', 'errored'],
+    suspending: ['suspended', 'closing', 'errored'],
+    suspended: ['resuming', 'closing'],
+    resuming: ['resumed', 'closing', 'errored'],
+    resumed: ['suspending', 'closing', 'errored'],
+    closing: ['closed', 'errored'],
+    closed: [],
+    errored: ['opening', 'closing'],
+})
+
+/** @type {Object<string, OperationDefinition>} The built-in operations */
+const defaultOperations = Object.freeze({
+    open: { interimState: 'opening', toState: 'opened' },
+    close: { interimState: 'closing', toState: 'closed', interrupts: ['opening', 'resuming'], drain: true, urgent: true },
+    suspend: { interimState: 'suspending', toState: 'suspended', drain: true, cancels: ['resume'] },
+    resume: { interimState: 'resuming', toState: 'resumed', cancels: ['suspend'] },
+})
+
+/** @type {string[]} Operations that use the lifecycle's default retry policy */
+const retriedOperations = ['open', 'resume']
+
 const noop = async () => {}
+
+/**
+ * Calculates the delay before the next attempt with exponential backoff.
+ * @param {RetryPolicy} policy - The retry policy
+ * @param {number} attempt - The number of the attempt that failed, starting at 1
+ * @returns {number} The delay in milliseconds
+ */
+function retryDelay (policy, attempt) {
+    const {
+        delay = 100,
+        factor = 2,
+        maxDelay = 30000,
+        jitter = 0,
+    } = policy
+
+    const backoff = Math.min(delay * factor ** (attempt - 1), maxDelay)
+    return Math.round(backoff * (1 - jitter * Math.random()))
+}
+
+/**
+ * Waits for a number of milliseconds, resolving early if the signal is aborted.
+ * @param {number} ms - How long to wait, or Infinity to wait for the signal
+ * @param {AbortSignal} signal - Ends the wait early when aborted
+ * @returns {Promise<void>} Resolves when the time is up or the signal is aborted
+ */
+function sleep (ms, signal) {
+    return new Promise((resolve) => {
+        const done = () => {
+            clearTimeout(timer)
+            signal.removeEventListener('abort', done)
+            resolve()
+        }
+
+        const timer = ms === Infinity ? undefined : setTimeout(done, ms)
+        signal.addEventListener('abort', done)
+    })
+}
+
+/**
+ * Creates an async iterator over values pushed by a subscription, buffering them until read.
+ * Subscribes immediately, so values pushed before the first `next()` call are kept.
+ * @template T
+ * @param {(push: (value: T) => void) => () => void} subscribe - Subscribes to values and returns a function that unsubscribes
+ * @param {(value: T) => boolean} isLast - Decides whether a value is the last one
+ * @param {boolean} empty - Whether no values will come at all
+ * @param {AbortSignal} [signal] - Finishes the iteration when aborted, dropping unread values
+ * @returns {AsyncIterableIterator<T>} The iterator
+ */
+function iterate (subscribe, isLast, empty, signal) {
+    /** @type {T[]} */
+    const buffer = []
+    /** @type {Array<(result: IteratorResult<T>) => void>} */
+    const waiting = []
+    /** @type {() => void} */
+    let unsubscribe = noop
+    let finished = false
+
+    const finish = () => {
+        if (finished) {
+            return
+        }
+
+        finished = true
+        unsubscribe()
+        signal?.removeEventListener('abort', abort)
+
+        for (const resolve of waiting.splice(0)) {
+            resolve({ value: undefined, done: true })
+        }
+    }
+
+    const abort = () => {
+        buffer.length = 0
+        finish()
+    }
+
+    if (empty || signal?.aborted) {
+        finished = true
+    } else {
+        unsubscribe = subscribe((value) => {
+            if (waiting.length > 0) {
+                waiting.shift()({ value, done: false })
+            } else {
+                buffer.push(value)
+            }
+
+            if (isLast(value)) {
+                finish()
+            }
+        })
+
+        signal?.addEventListener('abort', abort)
+    }
+
+    return {
+        next () {
+            if (buffer.length > 0) {
+                return Promise.resolve({ value: buffer.shift(), done: false })
+            }
+
+            if (finished) {
+                return Promise.resolve({ value: undefined, done: true })
+            }
+
+            return new Promise((resolve) => waiting.push(resolve))
+        },
+
+        return () {
+            abort()
+            return Promise.resolve({ value: undefined, done: true })
+        },
+
+        [Symbol.asyncIterator] () {
+            return this
+        },
+    }
+}
+
+/**
+ * Converts an error to JSON-serializable data.
+ * @param {Error|null} error - The error to convert
+ * @returns {SerializedError|null} The error's name and message
+ */
+function serializeError (error) {
+    return error ? { name: error.name, message: error.message } : null
+}
+
+/**
+ * Converts serialized error data back to an error.
+ * @param {SerializedError|null} [data] - The error's name and message
+ * @returns {Error|null} The restored error
+ */
+function deserializeError (data) {
+    if (!data) {
+        return null
+    }
+
+    const error = new Error(data.message)
+    error.name = data.name
+    return error
+}
+
+/**
+ * Races a value against a timer.
+ * @param {any} value - The value or promise to wait for
+ * @param {number} [timeout] - How long to wait, in milliseconds. Waits forever when omitted.
+ * @param {() => Error} [onTimeout] - Creates the error to reject with when the timer fires
+ * @returns {Promise<any>} Settles like `value`, or rejects when the timer fires first
+ */
+async function withTimeout (value, timeout, onTimeout) {
+    if (timeout === undefined || timeout === Infinity) {
+        return value
+    }
+
+    let timer
+
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(onTimeout()), timeout)
+    })
+
+    try {
+        return await Promise.race([value, expired])
+    } finally {
+        clearTimeout(timer)
+    }
+}
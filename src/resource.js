@@ -0,0 +1,32 @@
+/**
+ * Opens a lifecycle or group and returns it, ready for `await using`.
+ *
+ * The resource is closed when the scope exits, even if an error is thrown inside it.
+ * If opening fails, the resource is closed before the error is rethrown, so nothing leaks.
+ *
+ * @template {Openable} T
+ * @param {T} resource - A lifecycle, a group, or anything with `open()`, `close()` and `[Symbol.asyncDispose]()` methods
+ * @returns {Promise<T>} Resolves with the opened resource
+ * @example
+ * await using db = await openedResource(new Lifecycle({ open, close }))
+ *
+ * // or, for several resources
+ * await using stack = new AsyncDisposableStack()
+ * const db = stack.use(await openedResource(database))
+ * const cache = stack.use(await openedResource(redis))
+ */
+export async function openedResource (resource) {
+    try {
+        await resource.open()
+    } catch (error) {
+        await resource.close().catch(() => {})
+        throw error
+    }
+
+    return resource
+}
+
+/**
+ * A resource that can be opened, closed, and disposed at the end of a scope.
+ * @typedef {{ open: () => Promise<unknown>, close: () => Promise<unknown> } & AsyncDisposable} Openable
+ */
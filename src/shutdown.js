@@ -0,0 +1,122 @@
+/**
+ * Closes resources when the process is asked to stop, then exits.
+ *
+ * Shutdown starts on any of the given signals, when the event loop empties (`beforeExit`),
+ * or on an uncaught exception. Every resource is closed in parallel, then the process exits
+ * with a code that says whether closing succeeded, failed or missed the deadline.
+ * When the event loop empties, an exit code the program already set with `process.exitCode` is kept.
+ * A second signal during shutdown exits immediately.
+ *
+ * @param {Closeable|Closeable[]} resources - A lifecycle, group, or anything with a `close()` method, or an array of them
+ * @param {Object} [options] - Shutdown configuration
+ * @param {string[]} [options.signals] - The signals that start shutdown, defaults to SIGINT and SIGTERM
+ * @param {number} [options.timeout] - How long closing may take before the process exits anyway, in milliseconds, defaults to 10000
+ * @param {Partial<ExitCodes>} [options.exitCodes] - The exit codes for each outcome
+ * @returns {() => void} Function that detaches the shutdown handlers from the process
+ * @example
+ * const detach = gracefulShutdown([db, server], { timeout: 5000 })
+ */
+export function gracefulShutdown (resources, options = {}) {
+    const {
+        signals = ['SIGINT', 'SIGTERM'],
+        timeout = 10000,
+    } = options
+
+    /** @type {ExitCodes} */
+    const exitCodes = {
+        success: 0,
+        failure: 1,
+        timeout: 124,
+        forced: 130,
+        ...options.exitCodes,
+    }
+
+    const closeables = Array.isArray(resources) ? resources : [resources]
+    let shuttingDown = false
+
+    /**
+     * Closes every resource and exits with the code for the outcome.
+     * When the event loop emptied by itself, sets the exit code instead of exiting,
+     * so an exit code the program already set is kept unless closing failed and it was 0.
+     * @param {number} [failureCode] - Exit code to use even if closing succeeds
+     * @param {boolean} [drained] - Whether shutdown started because the event loop emptied
+     */
+    const shutdown = async (failureCode, drained = false) => {
+        shuttingDown = true
+
+        const deadline = setTimeout(() => {
+            process.exit(exitCodes.timeout)
+        }, timeout)
+
+        const results = await Promise.allSettled(closeables.map((closeable) => closeable.close()))
+        const failed = results.some((result) => result.status === 'rejected')
+
+        clearTimeout(deadline)
+
+        const code = failureCode ?? (failed ? exitCodes.failure : exitCodes.success)
+
+        if (drained) {
+            if (!process.exitCode) {
+                process.exitCode = code
+            }
+
+            return
+        }
+
+        process.exit(code)
+    }
+
+    const onSignal = () => {
+        if (shuttingDown) {
+            process.exit(exitCodes.forced)
+        }
+
+        shutdown()
+    }
+
+    const onBeforeExit = () => {
+        if (!shuttingDown) {
+            shutdown(undefined, true)
+        }
+    }
+
+    /** @param {Error} error */
+    const onUncaughtException = (error) => {
+        console.error(error)
+
+        if (shuttingDown) {
+            process.exit(exitCodes.failure)
+        }
+
+        shutdown(exitCodes.failure)
+    }
+
+    for (const signal of signals) {
+        process.on(signal, onSignal)
+    }
+
+    process.on('beforeExit', onBeforeExit)
+    process.on('uncaughtException', onUncaughtException)
+
+    return () => {
+        for (const signal of signals) {
+            process.off(signal, onSignal)
+        }
+
+        process.off('beforeExit', onBeforeExit)
+        process.off('uncaughtException', onUncaughtException)
+    }
+}
+
+/**
+ * @typedef {Object} Closeable
+ * @property {() => Promise<void>} close - Closes the resource
+ */
+
+/**
+ * @typedef {Object} ExitCodes
+ * @property {number} success - Every resource closed, defaults to 0
+ * @property {number} failure - A resource failed to close, or shutdown started with an uncaught exception, defaults to 1
+ * @property {number} timeout - Closing took longer than the timeout, defaults to 124
+ * @property {number} forced - A second signal arrived during shutdown, defaults to 130
+ */
@@ -0,0 +1,11 @@
+import Lifecycle, { StateMachine } from '../../src/index.js'
+
+export default new Lifecycle()
+
+export const machine = new StateMachine({
+    init: ['running'],
+    running: ['done'],
+    done: [],
+})
+
+export const settings = { retries: 3 }
@@ -0,0 +1,35 @@
+import Lifecycle, { gracefulShutdown } from '../../src/index.js'
+
+const mode = process.argv[2]
+const keepAlive = mode === 'idle' || mode === 'exit-code' ? null : setInterval(() => {}, 1000)
+
+const lifecycle = new Lifecycle({
+    async close () {
+        clearInterval(keepAlive)
+        console.log('closing')
+
+        if (mode === 'failure') {
+            throw new Error('close failed')
+        }
+
+        if (mode === 'hang' || mode === 'forced') {
+            await new Promise(() => {})
+        }
+    },
+})
+
+await lifecycle.open()
+
+gracefulShutdown(lifecycle, { timeout: mode === 'hang' ? 100 : 10000 })
+
+if (mode === 'exit-code') {
+    process.exitCode = 2
+}
+
+if (mode === 'error') {
+    setTimeout(() => {
+        throw new Error('boom')
+    }, 10)
+}
+
+console.log('ready')
@@ -0,0 +1,147 @@
+import test from 'brittle'
+import { spawn } from 'child_process'
+import { fileURLToPath } from 'url'
+import Lifecycle, { StateMachine, toDot, toMermaid } from '../src/index.js'
+
+const cli = fileURLToPath(new URL('../bin/lifecycling.js', import.meta.url))
+const fixture = fileURLToPath(new URL('./fixtures/graph.js', import.meta.url))
+
+const transitions = {
+    init: ['running'],
+    running: ['paused', 'done'],
+    paused: ['running', 'done'],
+    done: [],
+}
+
+function run (...args) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, [cli, ...args])
+        let stdout = ''
+        let stderr = ''
+
+        child.stdout.on('data', (data) => {
+            stdout += data
+        })
+
+        child.stderr.on('data', (data) => {
+            stderr += data
+        })
+
+        child.on('exit', (code) => resolve({ code, stdout, stderr }))
+    })
+}
+
+test('toMermaid renders a state diagram', async (t) => {
+    t.is(toMermaid(transitions), [
+        'stateDiagram-v2',
+        '    [*] --> init',
+        '    init --> running',
+        '    running --> paused',
+        '    running --> done',
+        '    paused --> running',
+        '    paused --> done',
+        '    done --> [*]',
+        '',
+    ].join('\n'))
+})
+
+test('toMermaid highlights the current state and visited states', async (t) => {
+    const diagram = toMermaid(transitions, {
+        state: 'paused',
+        path: ['init', 'running', 'paused'],
+        labels: { init: { running: 'start' } },
+    })
+
+    t.ok(diagram.includes('    init --> running: start\n'))
+    t.ok(diagram.includes('    class init,running visited\n'))
+    t.ok(diagram.includes('    class paused current\n'))
+})
+
+test('toDot renders a digraph with the path taken', async (t) => {
+    const diagram = toDot(transitions, {
+        name: 'job',
+        state: 'paused',
+        path: ['init', 'running', 'paused'],
+    })
+
+    t.ok(diagram.startsWith('digraph "job" {\n'))
+    t.ok(diagram.includes('    "paused" [style="rounded,filled", fillcolor="#1a73e8", fontcolor="#ffffff"]\n'))
+    t.ok(diagram.includes('    "running" [style="rounded,filled", fillcolor="#e8f0fe"]\n'))
+    t.ok(diagram.includes('    "done"\n'))
+    t.ok(diagram.includes('    "init" -> "running" [color="#1a73e8", penwidth=2]\n'))
+    t.ok(diagram.includes('    "running" -> "done"\n'))
+    t.ok(diagram.endsWith('}\n'))
+})
+
+test('StateMachine exposes its transitions and renders them', async (t) => {
+    const machine = new StateMachine(transitions)
+    machine.transition('running')
+
+    const copy = machine.transitions
+    copy.init.push('done')
+    t.alike(machine.transitions.init, ['running'], 'transitions are a copy')
+
+    t.is(machine.toMermaid(), toMermaid(transitions))
+    t.ok(machine.toMermaid({ highlight: true }).includes('class running current'))
+    t.ok(machine.toDot({ path: ['init', 'running'] }).includes('"init" -> "running" [color="#1a73e8", penwidth=2]'))
+})
+
+test('Lifecycle diagrams label operations and include custom states', async (t) => {
+    const lifecycle = new Lifecycle({}, {
+        transitions: {
+            opened: ['suspending', 'closing', 'errored', 'draining'],
+            draining: ['drained', 'errored'],
+            drained: ['closing'],
+        },
+        operations: {
+            drain: { interimState: 'draining', toState: 'drained' },
+        },
+    })
+
+    const diagram = lifecycle.toMermaid()
+    t.ok(diagram.includes('    init --> opening: open\n'))
+    t.ok(diagram.includes('    errored --> opening: open\n'))
+    t.ok(diagram.includes('    opened --> draining: drain\n'))
+    t.ok(diagram.includes('    drained --> closing: close\n'))
+    t.ok(diagram.includes('    closed --> [*]\n'))
+    t.absent(diagram.includes('class'), 'nothing highlighted by default')
+})
+
+test('Lifecycle diagrams highlight the path from the history', async (t) => {
+    const lifecycle = new Lifecycle()
+    await lifecycle.open()
+    await lifecycle.suspend()
+
+    const mermaid = lifecycle.toMermaid({ highlight: true })
+    t.ok(mermaid.includes('    class init,opening,opened,suspending visited\n'))
+    t.ok(mermaid.includes('    class suspended current\n'))
+
+    const dot = lifecycle.toDot({ highlight: true })
+    t.ok(dot.includes('"opened" -> "suspending" [label="suspend", color="#1a73e8", penwidth=2]'))
+    t.ok(dot.includes('"suspended" -> "resuming" [label="resume"]'))
+})
+
+test('cli prints the diagram of the default export', async (t) => {
+    const { code, stdout } = await run('graph', fixture)
+    t.is(code, 0)
+    t.is(stdout, new Lifecycle().toMermaid())
+})
+
+test('cli renders a named export as dot', async (t) => {
+    const { code, stdout } = await run('graph', fixture, '--export', 'machine', '--format', 'dot')
+    t.is(code, 0)
+    t.ok(stdout.startsWith('digraph "lifecycle" {'))
+    t.ok(stdout.includes('"running" -> "done"'))
+})
+
+test('cli fails for exports that are not lifecycles', async (t) => {
+    const { code, stderr } = await run('graph', fixture, '--export', 'settings')
+    t.is(code, 1)
+    t.ok(stderr.includes('is not a lifecycle or state machine'))
+})
+
+test('cli fails with usage for unknown commands', async (t) => {
+    const { code, stderr } = await run('draw', fixture)
+    t.is(code, 1)
+    t.ok(stderr.includes('Usage: lifecycling graph <module>'))
+})
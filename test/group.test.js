@@ -0,0 +1,177 @@
+import test from 'brittle'
+import Lifecycle, { DependencyCycleError, LifecycleError, LifecycleGroup } from '../src/index.js'
+
+function member (name, log, { delay = 0, fail = null } = {}) {
+    const step = (operation) => async () => {
+        log.push(`${name}:${operation}:start`)
+        await new Promise((r) => setTimeout(r, delay))
+        if (fail === operation) throw new Error(`${name} ${operation} failed`)
+        log.push(`${name}:${operation}:end`)
+    }
+
+    return new Lifecycle({
+        open: step('open'),
+        close: step('close'),
+        suspend: step('suspend'),
+        resume: step('resume'),
+    })
+}
+
+test('opens in dependency order and closes in reverse', async (t) => {
+    const log = []
+
+    const group = new LifecycleGroup({
+        http: member('http', log),
+        cache: member('cache', log),
+        db: member('db', log),
+    }, {
+        cache: ['db'],
+        http: ['db', 'cache'],
+    })
+
+    t.is(group.state, 'init')
+
+    await group.open()
+    t.is(group.state, 'opened')
+    t.alike(log, [
+        'db:open:start',
+        'db:open:end',
+        'cache:open:start',
+        'cache:open:end',
+        'http:open:start',
+        'http:open:end',
+    ])
+
+    log.length = 0
+    await group.close()
+    t.is(group.state, 'closed')
+    t.alike(log, [
+        'http:close:start',
+        'http:close:end',
+        'cache:close:start',
+        'cache:close:end',
+        'db:close:start',
+        'db:close:end',
+    ])
+})
+
+test('opens independent branches in parallel', async (t) => {
+    const log = []
+
+    const group = new LifecycleGroup({
+        db: member('db', log, { delay: 10 }),
+        cache: member('cache', log, { delay: 10 }),
+        http: member('http', log),
+    }, {
+        http: ['db', 'cache'],
+    })
+
+    await group.open()
+    t.alike(log.slice(0, 2).sort(), ['cache:open:start', 'db:open:start'], 'independent members start together')
+    t.alike(log.slice(4), ['http:open:start', 'http:open:end'], 'dependent starts after both')
+})
+
+test('suspends dependents first and resumes dependencies first', async (t) => {
+    const log = []
+
+    const group = new LifecycleGroup({
+        db: member('db', log),
+        consumer: member('consumer', log),
+    }, {
+        consumer: ['db'],
+    })
+
+    await group.open()
+
+    log.length = 0
+    await group.suspend()
+    t.is(group.state, 'suspended')
+    t.alike(log, ['consumer:suspend:start', 'consumer:suspend:end', 'db:suspend:start', 'db:suspend:end'])
+
+    log.length = 0
+    await group.resume()
+    t.is(group.state, 'resumed')
+    t.ok(group.is('resumed'))
+    t.alike(log, ['db:resume:start', 'db:resume:end', 'consumer:resume:start', 'consumer:resume:end'])
+})
+
+test('rolls back opened members when a member fails to open', async (t) => {
+    const log = []
+
+    const members = {
+        db: member('db', log),
+        cache: member('cache', log),
+        http: member('http', log, { fail: 'open' }),
+        worker: member('worker', log),
+    }
+
+    const group = new LifecycleGroup(members, {
+        cache: ['db'],
+        http: ['cache'],
+        worker: ['http'],
+    })
+
+    await t.exception(group.open(), /http open failed/)
+
+    t.is(members.db.state, 'closed')
+    t.is(members.cache.state, 'closed')
+    t.is(members.http.state, 'errored')
+    t.is(members.worker.state, 'init', 'members after the failure never open')
+    t.is(group.state, 'errored')
+    t.alike(log.slice(-4), ['cache:close:start', 'cache:close:end', 'db:close:start', 'db:close:end'])
+})
+
+test('state reflects members in transition or mixed states', async (t) => {
+    const db = new Lifecycle({
+        async open () {
+            await new Promise((r) => setTimeout(r, 10))
+        },
+    })
+    const cache = new Lifecycle({})
+
+    const group = new LifecycleGroup({ db, cache })
+
+    const open = group.open()
+    await db.until('opening')
+    t.is(group.state, 'opening')
+    await open
+
+    await cache.suspend()
+    t.is(group.state, 'mixed')
+    t.ok(group.not('opened'))
+})
+
+test('reports cycles and unknown members at construction', async (t) => {
+    const members = {
+        a: new Lifecycle({}),
+        b: new Lifecycle({}),
+        c: new Lifecycle({}),
+    }
+
+    t.exception(() => new LifecycleGroup(members, {
+        a: ['b'],
+        b: ['c'],
+        c: ['a'],
+    }), /Dependency cycle: a -> b -> c -> a/)
+
+    t.exception(() => new LifecycleGroup(members, { a: ['d'] }), /Unknown dependency of a: d/)
+    t.exception(() => new LifecycleGroup(members, { d: ['a'] }), /Unknown group member: d/)
+
+    try {
+        new LifecycleGroup(members, { a: ['b'], b: ['a'] })
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof DependencyCycleError, 'cycles throw a DependencyCycleError')
+        t.ok(error instanceof LifecycleError, 'which is a LifecycleError')
+        t.alike(error.cycle, ['a', 'b', 'a'], 'carrying the cycle')
+    }
+
+    for (const dependencies of [{ a: ['d'] }, { d: ['a'] }]) {
+        try {
+            new LifecycleGroup(members, dependencies)
+            t.fail('should have thrown')
+        } catch (error) {
+            t.ok(error instanceof LifecycleError, 'unknown names throw a LifecycleError')
+        }
+    }
+})
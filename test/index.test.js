@@ -1,7 +1,16 @@
 import test from 'brittle'
 import * as fs from 'fs/promises'
 import http from 'http'
-import Lifecycle, { Queue, StateMachine } from '../src/index.js'
+import Lifecycle, {
+    InvalidTransitionError,
+    LifecycleError,
+    OperationFailedError,
+    Queue,
+    StateMachine,
+    TimeoutError,
+    TransitionMapError,
+    UnknownOperationError,
+} from '../src/index.js'
 
 test('basic open/close flow works', async (t) => {
     let opened = false
@@ -27,7 +36,7 @@ test('basic open/close flow works', async (t) => {
     t.ok(closed)
 })
 
-test('errors during transitions prevent state change', async (t) => {
+test('errors during transitions move to errored', async (t) => {
     let openAttempts = 0
 
     const lifecycle = new Lifecycle({
@@ -43,23 +52,132 @@ test('errors during transitions prevent state change', async (t) => {
         await lifecycle.open()
         t.fail('should have thrown')
     } catch (error) {
-        t.is(error.message, 'open failed')
+        t.ok(error instanceof OperationFailedError, 'handler errors are wrapped')
+        t.is(error.cause.message, 'open failed')
         t.is(openAttempts, 1, 'opener was called once')
-        t.is(lifecycle.state, 'opening', 'state never moved to opened')
+        t.is(lifecycle.state, 'errored', 'state moved to errored')
+        t.is(lifecycle.error, error, 'error is captured')
+        t.is(lifecycle.failedOperation, 'open', 'failed operation is captured')
     }
 
-    lifecycle.reset()
-
     try {
         await lifecycle.open()
         t.fail('should have thrown')
     } catch (error) {
-        t.is(error.message, 'open failed')
+        t.is(error.cause.message, 'open failed')
         t.is(openAttempts, 2, 'opener called again after error')
-        t.is(lifecycle.state, 'opening', 'state still opening after second error')
+        t.is(lifecycle.state, 'errored', 'state errored after second error')
     }
 })
 
+test('can retry open from errored', async (t) => {
+    let fail = true
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            if (fail) throw new Error('open failed')
+        },
+    })
+
+    const transitions = []
+    lifecycle.on((transition) => {
+        transitions.push(transition.to)
+    })
+
+    await t.exception(lifecycle.open(), /open failed/)
+    t.is(lifecycle.state, 'errored')
+
+    fail = false
+    await lifecycle.open()
+    t.is(lifecycle.state, 'opened')
+    t.is(lifecycle.error, null, 'error cleared after retry')
+    t.is(lifecycle.failedOperation, null, 'failed operation cleared after retry')
+
+    t.alike(transitions, ['opening', 'errored', 'opening', 'opened'])
+})
+
+test('can close from errored', async (t) => {
+    let closed = false
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            throw new Error('open failed')
+        },
+        async close () {
+            closed = true
+        },
+    })
+
+    await t.exception(lifecycle.open(), /open failed/)
+    t.is(lifecycle.state, 'errored')
+
+    await lifecycle.close()
+    t.is(lifecycle.state, 'closed')
+    t.ok(closed, 'closer was called')
+})
+
+test('failed close moves to errored', async (t) => {
+    const lifecycle = new Lifecycle({
+        async close () {
+            throw new Error('close failed')
+        },
+    })
+
+    await lifecycle.open()
+    await t.exception(lifecycle.close(), /close failed/)
+    t.is(lifecycle.state, 'errored')
+    t.is(lifecycle.failedOperation, 'close')
+})
+
+test('until rejects when an operation fails', async (t) => {
+    const lifecycle = new Lifecycle({
+        async open () {
+            await new Promise((r) => setTimeout(r, 10))
+            throw new Error('open failed')
+        },
+    })
+
+    const opened = lifecycle.until('opened')
+    const errored = lifecycle.until('errored')
+    lifecycle.open().catch(() => {})
+
+    await t.exception(opened, /open failed/, 'opened waiter rejects')
+    await errored
+    t.is(lifecycle.state, 'errored', 'errored waiter resolves')
+})
+
+test('until keeps waiting for states an operation failure did not strand', async (t) => {
+    const lifecycle = new Lifecycle({
+        async open ({ signal }) {
+            await new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason))
+            })
+        },
+    })
+
+    lifecycle.open().catch(() => {})
+    await lifecycle.until('opening')
+
+    lifecycle.close()
+    await lifecycle.until('closed')
+    t.is(lifecycle.state, 'closed', 'aborted open does not reject the closed waiter')
+
+    const failing = new Lifecycle({
+        async open () {
+            await new Promise((r) => setTimeout(r, 10))
+            throw new Error('open failed')
+        },
+    })
+
+    const opened = failing.until('opened')
+    failing.open().catch(() => {})
+    failing.close()
+
+    await t.exception(opened, /open failed/, 'opened waiter rejects')
+    await failing.until('closed')
+    t.is(failing.state, 'closed', 'failed open does not reject the closed waiter')
+})
+
 test('deduplicates concurrent opens', async (t) => {
     let openCount = 0
 
@@ -78,6 +196,263 @@ test('deduplicates concurrent opens', async (t) => {
     t.is(openCount, 1, 'opener only called once')
 })
 
+test('identical calls share one operation and its result', async (t) => {
+    let openCount = 0
+    const events = []
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            openCount++
+            await new Promise((resolve) => setTimeout(resolve, 5))
+            throw new Error('connection refused')
+        },
+    })
+
+    lifecycle.on('coalesce', (event) => events.push(event))
+
+    const calls = [lifecycle.open(), lifecycle.open(), lifecycle.open()]
+
+    t.alike(lifecycle.pending, [{ operation: 'open', callers: 3, running: true }])
+    t.alike(events.map(({ kind, operation, with: other, callers }) => [kind, operation, other, callers]), [
+        ['coalesced', 'open', 'open', 2],
+        ['coalesced', 'open', 'open', 3],
+    ])
+
+    const results = await Promise.allSettled(calls)
+
+    t.is(openCount, 1)
+    t.ok(results.every((result) => result.status === 'rejected'), 'every caller sees the failure')
+    t.ok(results.every((result) => result.reason === results[0].reason), 'with the same error')
+    t.alike(lifecycle.pending, [])
+})
+
+test('calls with different options are not coalesced', async (t) => {
+    let openCount = 0
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            openCount++
+        },
+    })
+
+    await Promise.all([lifecycle.open(), lifecycle.with({ timeout: 1000 }).open()])
+    t.is(openCount, 1, 'the second open is skipped once opened')
+    t.is(lifecycle.history.length, 1)
+})
+
+test('queued suspend and resume cancel each other', async (t) => {
+    const calls = []
+    const events = []
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            calls.push('open')
+        },
+        async suspend () {
+            calls.push('suspend')
+        },
+        async resume () {
+            calls.push('resume')
+        },
+    })
+
+    lifecycle.on('coalesce', (event) => events.push(event))
+
+    const opened = lifecycle.open()
+    const suspended = lifecycle.suspend()
+    t.alike(lifecycle.pending.map(({ operation }) => operation), ['open', 'suspend'])
+
+    const resumed = lifecycle.resume()
+    t.alike(lifecycle.pending.map(({ operation }) => operation), ['open'])
+
+    await opened
+    t.alike(await suspended, { cancelled: true, by: 'resume' })
+    t.alike(await resumed, { cancelled: true, by: 'suspend' })
+    t.is(lifecycle.state, 'opened')
+    t.alike(calls, ['open'])
+    t.is(events[0].kind, 'cancelled')
+    t.is(events[0].operation, 'resume')
+    t.is(events[0].with, 'suspend')
+
+    await lifecycle.suspend()
+    await lifecycle.resume()
+    t.alike(calls, ['open', 'suspend', 'resume'], 'a running suspend is not cancelled')
+})
+
+test('queued operations that would be skipped are not cancelled', async (t) => {
+    const calls = []
+
+    const lifecycle = new Lifecycle({
+        async suspend () {
+            calls.push('suspend')
+            await new Promise((r) => setTimeout(r, 10))
+        },
+        async resume () {
+            calls.push('resume')
+        },
+    })
+
+    await lifecycle.open()
+
+    const suspended = lifecycle.suspend()
+    const again = lifecycle.suspend('x')
+    const resumed = lifecycle.resume()
+
+    t.alike(lifecycle.pending.map(({ operation }) => operation), ['suspend', 'suspend', 'resume'])
+
+    await suspended
+    t.is(await again, undefined, 'the second suspend is skipped, not cancelled')
+    t.is(await resumed, undefined)
+    t.alike(calls, ['suspend', 'resume'])
+    t.is(lifecycle.state, 'resumed', 'ends as if the calls ran in order')
+})
+
+test('errors carry the lifecycle name and the transition', async (t) => {
+    const cause = new Error('connection refused')
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            throw cause
+        },
+    }, { name: 'db' })
+
+    t.is(lifecycle.name, 'db')
+
+    try {
+        await lifecycle.open()
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof OperationFailedError)
+        t.ok(error instanceof LifecycleError)
+        t.is(error.name, 'OperationFailedError')
+        t.is(error.message, 'Operation open failed: connection refused')
+        t.is(error.cause, cause)
+        t.is(error.lifecycle, 'db')
+        t.is(error.from, 'init')
+        t.is(error.to, 'opened')
+        t.is(error.operation, 'open')
+        t.is(lifecycle.error, error)
+    }
+
+    try {
+        await lifecycle.transition('missing')
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof UnknownOperationError)
+        t.ok(error instanceof LifecycleError)
+        t.is(error.lifecycle, 'db')
+        t.is(error.from, 'errored')
+        t.is(error.to, null)
+        t.is(error.operation, 'missing')
+    }
+})
+
+test('errors from other lifecycles are wrapped', async (t) => {
+    const db = new Lifecycle({
+        async open () {
+            throw new Error('connection refused')
+        },
+    }, { name: 'db' })
+
+    const service = new Lifecycle({
+        async open () {
+            await db.open()
+        },
+    }, { name: 'service' })
+
+    const error = await service.open().then(() => null, (error) => error)
+
+    t.ok(error instanceof OperationFailedError)
+    t.is(error.lifecycle, 'service')
+    t.is(error.operation, 'open')
+    t.is(error.cause, db.error, 'the other lifecycle error is the cause')
+    t.is(error.cause.lifecycle, 'db')
+    t.is(service.error.lifecycle, 'service')
+})
+
+test('timeouts and invalid transitions are lifecycle errors', async (t) => {
+    const lifecycle = new Lifecycle({
+        open: () => new Promise(() => {}),
+    }, { name: 'cache', timeout: 5 })
+
+    try {
+        await lifecycle.open()
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof TimeoutError)
+        t.ok(error instanceof LifecycleError)
+        t.absent(error instanceof OperationFailedError, 'timeouts are not wrapped')
+        t.is(error.lifecycle, 'cache')
+        t.is(error.from, 'init')
+        t.is(error.to, 'opened')
+    }
+
+    const machine = new StateMachine({ init: ['done'], done: [] }, { name: 'job' })
+
+    try {
+        machine.transition('init')
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof InvalidTransitionError)
+        t.ok(error instanceof LifecycleError)
+        t.is(error.lifecycle, 'job')
+        t.is(error.from, 'init')
+        t.is(error.to, 'init')
+        t.is(error.reason, 'No transition from init to init')
+        t.is(error.allowedOperations, null)
+    }
+
+    machine.transition('done')
+    await t.exception(machine.until('init'), LifecycleError)
+})
+
+test('strict mode rejects operations that are not allowed', async (t) => {
+    const lifecycle = new Lifecycle({}, { strict: true })
+
+    try {
+        await lifecycle.suspend()
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof InvalidTransitionError)
+        t.is(error.message, 'Cannot suspend while init: allowed operations are open')
+        t.is(error.from, 'init')
+        t.is(error.to, 'suspending')
+        t.is(error.operation, 'suspend')
+        t.alike(error.allowedOperations, ['open'])
+    }
+
+    t.is(lifecycle.state, 'init', 'the state is unchanged')
+    t.is(lifecycle.error, null, 'a refused operation is not a failure')
+
+    await lifecycle.open()
+    await t.exception(lifecycle.resume(), /Cannot resume while opened: allowed operations are close, suspend/)
+    await t.exception(lifecycle.open(), InvalidTransitionError)
+
+    await lifecycle.close()
+    await t.exception(lifecycle.close(), /Cannot close while closed: no operations are allowed/)
+})
+
+test('strict mode still shares concurrent identical calls', async (t) => {
+    let openCount = 0
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            openCount++
+        },
+    }, { strict: true })
+
+    await Promise.all([lifecycle.open(), lifecycle.open()])
+    t.is(openCount, 1)
+})
+
+test('tolerant mode skips operations that are not allowed', async (t) => {
+    const lifecycle = new Lifecycle()
+
+    t.is(await lifecycle.suspend(), undefined)
+    t.is(lifecycle.state, 'init')
+    t.alike(lifecycle.history, [])
+})
+
 test('full lifecycle with suspend/resume', async (t) => {
     let openCount = 0
     let suspendCount = 0
@@ -136,7 +511,7 @@ test('handles concurrent state changes', async (t) => {
 
     const transitions = []
     lifecycle.on((transition) => {
-        transitions.push(transition)
+        transitions.push(transition.to)
     })
 
     await lifecycle.open()
@@ -240,7 +615,7 @@ test('handles transition sequences', async (t) => {
 
     let transitions = []
     lifecycle.on((transition) => {
-        transitions.push(transition)
+        transitions.push(transition.to)
     })
 
     await lifecycle.open()
@@ -296,7 +671,7 @@ test('wait handles complex transition sequences', async (t) => {
 
     let transitions = []
     lifecycle.on((transition) => {
-        transitions.push(transition)
+        transitions.push(transition.to)
     })
 
     // Start multiple operations and waits concurrently
@@ -307,9 +682,10 @@ test('wait handles complex transition sequences', async (t) => {
         lifecycle.until('suspended'),
 
         (async () => {
+            // a resume queued right behind a pending suspend would cancel it
+            await lifecycle.until('suspended')
             await lifecycle.resume()
-        })(),
-        (async () => {
+            // close is urgent, so it waits for resume to finish instead of superseding it
             await lifecycle.close()
         })(),
     ]
@@ -329,55 +705,205 @@ test('wait handles complex transition sequences', async (t) => {
     t.is(lifecycle.state, 'closed')
 })
 
-test('suspend queues after opening', async (t) => {
+test('close jumps ahead of pending operations and supersedes them', async (t) => {
+    const calls = []
+
     const lifecycle = new Lifecycle({
-        async open () {},
-        async suspend () {},
+        async open () {
+            calls.push('open')
+            await new Promise((resolve) => setTimeout(resolve, 10))
+        },
+        async suspend () {
+            calls.push('suspend')
+        },
+        async resume () {
+            calls.push('resume')
+        },
+        async close () {
+            calls.push('close')
+        },
     })
 
-    // Start opening
-    lifecycle.open()
-    t.is(lifecycle.state, 'opening')
-
-    // Queue suspend
-    lifecycle.suspend()
+    await lifecycle.open()
 
-    // State should still be opening until open completes
-    t.is(lifecycle.state, 'opening', 'still opening')
+    const pending = [
+        lifecycle.suspend(),
+        lifecycle.resume(),
+        lifecycle.open(),
+    ]
 
-    // Wait for open to complete
-    await lifecycle.until('opened')
+    const closed = lifecycle.close()
 
-    // After open completes, suspend should start
-    t.is(lifecycle.state, 'suspending', 'now suspending')
+    t.alike(await Promise.all(pending), [
+        undefined,
+        { superseded: true, by: 'close' },
+        { superseded: true, by: 'close' },
+    ], 'the running suspend finishes, the pending operations are superseded')
 
-    // Wait for suspend to complete
-    await lifecycle.until('suspended')
-    t.is(lifecycle.state, 'suspended', 'completed both operations')
+    t.is(await closed, undefined)
+    t.is(lifecycle.state, 'closed')
+    t.alike(calls, ['open', 'suspend', 'close'])
+    t.alike(lifecycle.history.map((entry) => entry.operation), ['open', 'suspend', 'close'])
 })
 
-test('cannot suspend while closing', async (t) => {
-    const lifecycle = new Lifecycle({
-        async open () {},
-        async close () {},
-        async suspend () {},
-    })
+test('urgent custom operations keep pending operations that remain possible', async (t) => {
+    const calls = []
 
-    const transitions = []
-    lifecycle.on((transition) => {
-        transitions.push(transition)
+    const lifecycle = new Lifecycle({
+        async suspend () {
+            calls.push('suspend')
+            await new Promise((resolve) => setTimeout(resolve, 10))
+        },
+        async resume () {
+            calls.push('resume')
+        },
+        async reload () {
+            calls.push('reload')
+        },
+    }, {
+        transitions: {
+            suspended: ['resuming', 'closing', 'reloading'],
+            reloading: ['suspended', 'errored'],
+        },
+        operations: {
+            reload: { interimState: 'reloading', toState: 'suspended', urgent: true },
+        },
     })
 
     await lifecycle.open()
 
-    lifecycle.close()
-    t.is(lifecycle.state, 'closing')
+    const suspended = lifecycle.suspend()
+    const resumed = lifecycle.resume()
+    const reloaded = lifecycle.reload()
 
-    await lifecycle.until('closed')
+    t.alike(lifecycle.pending.map(({ operation, running }) => [operation, running]), [
+        ['suspend', true],
+        ['reload', false],
+        ['resume', false],
+    ], 'reload jumps ahead of the pending resume')
 
-    t.is(lifecycle.state, 'closed')
+    t.is(await suspended, undefined)
+    t.is(await reloaded, undefined)
+    t.is(await resumed, undefined, 'resume is still possible after reloading, so it runs')
+    t.alike(calls, ['suspend', 'reload', 'resume'])
+    t.is(lifecycle.state, 'resumed')
+})
 
-    t.alike(transitions, [
+test('Queue runs urgent items after the running item', async (t) => {
+    const processed = []
+
+    const queue = new Queue(async (item) => {
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        processed.push(item.name)
+    })
+
+    const results = Promise.all([
+        queue.enqueue({ name: 'a' }),
+        queue.enqueue({ name: 'b' }),
+        queue.enqueue({ name: 'c' }),
+        queue.enqueue({ name: 'first' }, { urgent: true }),
+        queue.enqueue({ name: 'second' }, { urgent: true, supersedes: (item) => item.name === 'c' }),
+    ])
+
+    t.alike(await results, [
+        undefined,
+        undefined,
+        { superseded: true, by: { name: 'second' } },
+        undefined,
+        undefined,
+    ])
+    t.alike(processed, ['a', 'first', 'second', 'b'])
+})
+
+test('Queue coalesces identical items and cancels opposite ones', async (t) => {
+    const processed = []
+    const events = []
+
+    const queue = new Queue(async (item) => {
+        processed.push(item.name)
+    }, {
+        onCoalesce: (event) => events.push(event),
+    })
+
+    const same = (item) => (other) => other.name === item.name
+    const opposite = (name) => (other) => other.name === name
+
+    const a = queue.enqueue({ name: 'a' }, { coalesces: same({ name: 'a' }) })
+    const again = queue.enqueue({ name: 'a' }, { coalesces: same({ name: 'a' }) })
+    const up = queue.enqueue({ name: 'up' })
+    const down = queue.enqueue({ name: 'down' }, { cancels: opposite('up') })
+
+    t.alike(queue.pending.map(({ item, callers, running }) => [item.name, callers, running]), [['a', 2, true]])
+    t.alike(await up, { cancelled: true, by: { name: 'down' } })
+    t.alike(await down, { cancelled: true, by: { name: 'up' } })
+
+    let before
+    const first = queue.enqueue({ name: 'first' })
+    const next = queue.enqueue({ name: 'next' })
+    const cancelled = queue.enqueue({ name: 'undo' }, {
+        cancels: (other, item) => {
+            before = item
+            return false
+        },
+    })
+
+    t.alike(before, { name: 'first' }, 'cancels sees the item processed before the other one')
+    await Promise.all([first, next, cancelled])
+
+    await Promise.all([a, again])
+    t.alike(processed, ['a', 'first', 'next', 'undo'], 'identical items are processed once')
+    t.alike(events.map(({ kind, callers }) => [kind, callers]), [['coalesced', 2], ['cancelled', 1]])
+})
+
+test('suspend queues after opening', async (t) => {
+    const lifecycle = new Lifecycle({
+        async open () {},
+        async suspend () {},
+    })
+
+    // Start opening
+    lifecycle.open()
+    t.is(lifecycle.state, 'opening')
+
+    // Queue suspend
+    lifecycle.suspend()
+
+    // State should still be opening until open completes
+    t.is(lifecycle.state, 'opening', 'still opening')
+
+    // Wait for open to complete
+    await lifecycle.until('opened')
+
+    // After open completes, suspend should start
+    t.is(lifecycle.state, 'suspending', 'now suspending')
+
+    // Wait for suspend to complete
+    await lifecycle.until('suspended')
+    t.is(lifecycle.state, 'suspended', 'completed both operations')
+})
+
+test('cannot suspend while closing', async (t) => {
+    const lifecycle = new Lifecycle({
+        async open () {},
+        async close () {},
+        async suspend () {},
+    })
+
+    const transitions = []
+    lifecycle.on((transition) => {
+        transitions.push(transition.to)
+    })
+
+    await lifecycle.open()
+
+    lifecycle.close()
+    t.is(lifecycle.state, 'closing')
+
+    await lifecycle.until('closed')
+
+    t.is(lifecycle.state, 'closed')
+
+    t.alike(transitions, [
         'opening',
         'opened',
         'closing',
@@ -385,115 +911,1389 @@ test('cannot suspend while closing', async (t) => {
     ])
 })
 
-test('manages file handle lifecycle', async (t) => {
-    const path = '/tmp/lifecycle-test.txt'
-    let handle = null
+test('manages file handle lifecycle', async (t) => {
+    const path = '/tmp/lifecycle-test.txt'
+    let handle = null
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            handle = await fs.open(path, 'w+')
+        },
+        async suspend () {
+            await handle.sync()
+            await handle.close()
+            handle = null
+        },
+        async resume () {
+            handle = await fs.open(path, 'r+')
+        },
+        async close () {
+            await handle.close()
+            handle = null
+        },
+    })
+
+    await lifecycle.open()
+    t.ok(handle, 'file handle opened')
+
+    await handle.write('hello')
+
+    await lifecycle.suspend()
+
+    t.is(handle, null, 'handle closed during suspend')
+
+    await lifecycle.resume()
+    const data = await handle.readFile('utf8')
+    t.is(data, 'hello', 'data persisted through suspend/resume')
+
+    await lifecycle.close()
+    t.is(handle, null, 'handle cleaned up')
+})
+
+test('http server suspend/resume', async (t) => {
+    class Server {
+        #lifecycle = new Lifecycle({
+            open: this.#open.bind(this),
+            suspend: this.#suspend.bind(this),
+            resume: this.#resume.bind(this),
+            close: this.#close.bind(this),
+        })
+
+        async #open () {
+            this.server = http.createServer()
+            await new Promise((resolve) => this.server.listen(0, resolve))
+        }
+
+        async #suspend () {
+            this.server.close()
+            await new Promise((resolve, reject) => {
+                this.server.on('close', resolve)
+                this.server.on('error', reject)
+            })
+        }
+
+        async #resume () {
+            await new Promise((resolve) => this.server.listen(0, resolve))
+        }
+
+        async #close () {
+            this.server.close()
+            await new Promise((resolve, reject) => {
+                this.server.on('close', resolve)
+                this.server.on('error', reject)
+            })
+            this.server = null
+        }
+
+        async start () {
+            await this.#lifecycle.open()
+        }
+
+        async suspend () {
+            await this.#lifecycle.suspend()
+        }
+
+        async resume () {
+            await this.#lifecycle.resume()
+        }
+
+        async stop () {
+            await this.#lifecycle.close()
+        }
+
+        get state () {
+            return this.#lifecycle.state
+        }
+    }
+
+    const server = new Server()
+    t.is(server.state, 'init')
+
+    await server.start()
+    t.is(server.state, 'opened')
+
+    await server.suspend()
+    t.is(server.state, 'suspended')
+
+    await server.resume()
+    t.is(server.state, 'resumed')
+
+    await server.stop()
+    t.is(server.state, 'closed')
+})
+
+test('custom operations and transitions', async (t) => {
+    let drained = 0
+
+    const lifecycle = new Lifecycle({
+        async drain () {
+            drained++
+        },
+    }, {
+        transitions: {
+            opened: ['suspending', 'closing', 'draining'],
+            draining: ['drained', 'errored'],
+            drained: ['closing'],
+        },
+        operations: {
+            drain: { interimState: 'draining', toState: 'drained' },
+        },
+    })
+
+    const transitions = []
+    lifecycle.on((transition) => {
+        transitions.push(transition.to)
+    })
+
+    await lifecycle.drain()
+    t.is(lifecycle.state, 'init', 'drain is skipped before opening')
+
+    await lifecycle.open()
+    await lifecycle.drain()
+    t.is(lifecycle.state, 'drained')
+    t.is(drained, 1, 'drain handler called once')
+
+    await lifecycle.close()
+    t.alike(transitions, ['opening', 'opened', 'draining', 'drained', 'closing', 'closed'])
+})
+
+test('transition runs custom operations by name', async (t) => {
+    const lifecycle = new Lifecycle({ reload () {} }, {
+        transitions: {
+            opened: ['suspending', 'closing', 'reloading'],
+            reloading: ['opened', 'errored'],
+        },
+        operations: {
+            reload: { interimState: 'reloading', toState: 'opened' },
+        },
+    })
+
+    await lifecycle.open()
+    await lifecycle.transition('reload')
+    t.is(lifecycle.state, 'opened')
+
+    await t.exception(lifecycle.transition('missing'), /Unknown operator name: missing/)
+})
+
+test('custom operations are validated against the transition map', async (t) => {
+    t.exception(() => {
+        return new Lifecycle({}, {
+            operations: {
+                drain: { interimState: 'draining', toState: 'drained' },
+            },
+        })
+    }, /Operation drain uses unknown state: draining/)
+
+    try {
+        new Lifecycle({}, {
+            name: 'consumer',
+            operations: {
+                drain: { interimState: 'draining', toState: 'drained' },
+            },
+        })
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof LifecycleError)
+        t.is(error.lifecycle, 'consumer')
+        t.is(error.operation, 'drain')
+    }
+
+    t.exception(() => {
+        return new Lifecycle({}, {
+            transitions: {
+                opened: ['suspending', 'closing', 'waiting'],
+                waiting: ['opened'],
+            },
+            operations: {
+                until: { interimState: 'waiting', toState: 'opened' },
+            },
+        })
+    }, /Operation name conflicts with an existing member: until/)
+})
+
+test('multiple listeners observe transitions', async (t) => {
+    const lifecycle = new Lifecycle({ open () {}, close () {} })
+
+    const first = []
+    const second = []
+    const closed = []
+
+    lifecycle.on((event) => first.push(event.to))
+    const off = lifecycle.on((event) => second.push(event.to))
+    lifecycle.on('closed', (event) => closed.push(event))
+
+    await lifecycle.open()
+    off()
+    await lifecycle.close()
+
+    t.alike(first, ['opening', 'opened', 'closing', 'closed'])
+    t.alike(second, ['opening', 'opened'], 'unsubscribed listener stops receiving')
+    t.is(closed.length, 1, 'state listener called once')
+    t.is(closed[0].from, 'closing')
+    t.is(closed[0].to, 'closed')
+    t.is(closed[0].operation, 'close')
+    t.is(closed[0].error, null)
+    t.ok(closed[0].timestamp >= closed[0].startedAt, 'event carries timestamps')
+})
+
+test('once and off remove listeners', async (t) => {
+    const lifecycle = new Lifecycle({ open () {}, close () {}, suspend () {}, resume () {} })
+
+    const once = []
+    const removed = []
+    const listener = (event) => removed.push(event.to)
+
+    lifecycle.once((event) => once.push(event.to))
+    lifecycle.on('suspended', listener)
+    lifecycle.once('resumed', listener)
+
+    await lifecycle.open()
+    lifecycle.off('suspended', listener)
+    lifecycle.off('resumed', listener)
+    await lifecycle.suspend()
+    await lifecycle.resume()
+
+    t.alike(once, ['opening'], 'once listener called a single time')
+    t.alike(removed, [], 'removed listeners are not called')
+})
+
+test('error events carry the error', async (t) => {
+    const lifecycle = new Lifecycle({
+        async open () {
+            throw new Error('open failed')
+        },
+    })
+
+    const events = []
+    lifecycle.on('errored', (event) => events.push(event))
+
+    await t.exception(lifecycle.open(), /open failed/)
+    t.is(events.length, 1)
+    t.is(events[0].from, 'opening')
+    t.is(events[0].operation, 'open')
+    t.is(events[0].error.cause.message, 'open failed')
+})
+
+test('throwing listeners do not break transitions', async (t) => {
+    const lifecycle = new Lifecycle({ open () {}, close () {} })
+
+    const transitions = []
+    lifecycle.on(() => {
+        throw new Error('listener failed')
+    })
+    lifecycle.on((event) => transitions.push(event.to))
+
+    await lifecycle.open()
+    t.is(lifecycle.state, 'opened')
+    t.alike(transitions, ['opening', 'opened'], 'later listeners still called')
+})
+
+test('hung operations time out', async (t) => {
+    let closed = false
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            await new Promise(() => {})
+        },
+        async close () {
+            closed = true
+        },
+    }, { timeout: 20 })
+
+    const open = lifecycle.open()
+    const close = lifecycle.close()
+
+    try {
+        await open
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof TimeoutError, 'rejects with a TimeoutError')
+        t.is(error.operation, 'open')
+        t.is(error.timeout, 20)
+    }
+
+    await close
+    t.ok(closed, 'queue carries on after a timeout')
+    t.is(lifecycle.state, 'closed')
+})
+
+test('timeouts can be set per operation and per call', async (t) => {
+    const lifecycle = new Lifecycle({
+        async open () {
+            await new Promise((r) => setTimeout(r, 30))
+        },
+        async close () {
+            await new Promise((r) => setTimeout(r, 30))
+        },
+    }, {
+        timeout: 10,
+        operations: {
+            open: { timeout: 100 },
+        },
+    })
+
+    await lifecycle.open()
+    t.is(lifecycle.state, 'opened', 'operation timeout overrides the default')
+
+    await t.exception(lifecycle.close(), TimeoutError, 'default timeout applies to other operations')
+    t.is(lifecycle.state, 'errored')
+
+    await lifecycle.with({ timeout: 100 }).close()
+    t.is(lifecycle.state, 'closed', 'call timeout overrides the default')
+})
+
+test('close aborts an in-flight open', async (t) => {
+    let closed = false
+
+    const lifecycle = new Lifecycle({
+        async open ({ signal }) {
+            await new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason))
+            })
+        },
+        async close () {
+            closed = true
+        },
+    })
+
+    const transitions = []
+    lifecycle.on((event) => transitions.push(event.to))
+
+    const open = lifecycle.open()
+    const close = lifecycle.close()
+
+    t.alike(await open, { aborted: true, by: 'close' }, 'open resolves as aborted, not failed')
+
+    await close
+    t.ok(closed, 'closer was called')
+    t.alike(transitions, ['opening', 'closing', 'closed'], 'close takes over without erroring')
+    t.is(lifecycle.error, null)
+    t.is(lifecycle.summary().lastFailure, null)
+    t.alike(lifecycle.history.map((entry) => [entry.operation, entry.outcome]), [['open', 'aborted'], ['close', 'success']])
+})
+
+test('close lets operations that ignore the signal finish', async (t) => {
+    let aborted = false
+
+    const lifecycle = new Lifecycle({
+        async open ({ signal }) {
+            await new Promise((r) => setTimeout(r, 10))
+            aborted = signal.aborted
+        },
+    })
+
+    await Promise.all([lifecycle.open(), lifecycle.close()])
+    t.ok(aborted, 'signal was aborted')
+    t.is(lifecycle.state, 'closed')
+})
+
+test('timeouts abort the operation signal', async (t) => {
+    let reason = null
+
+    const lifecycle = new Lifecycle({
+        async open ({ signal }) {
+            await new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => {
+                    reason = signal.reason
+                    reject(signal.reason)
+                })
+            })
+        },
+    }, { timeout: 10 })
+
+    await t.exception(lifecycle.open(), TimeoutError)
+    t.ok(reason instanceof TimeoutError, 'signal aborted with the timeout error')
+})
+
+test('retries open with backoff', async (t) => {
+    const attempts = []
+
+    const lifecycle = new Lifecycle({
+        async open ({ attempt }) {
+            attempts.push(attempt)
+            if (attempt < 3) throw new Error('connection refused')
+        },
+    }, {
+        retry: { attempts: 3, delay: 5 },
+    })
+
+    const retries = []
+    lifecycle.on('retry', (event) => retries.push(event))
+
+    const states = []
+    lifecycle.on((event) => states.push(event.to))
+
+    await lifecycle.open()
+    t.is(lifecycle.state, 'opened')
+    t.alike(attempts, [1, 2, 3], 'attempt number visible to the operation')
+    t.alike(retries.map((event) => [event.operation, event.attempt, event.delay]), [
+        ['open', 1, 5],
+        ['open', 2, 10],
+    ], 'retry events carry attempt and exponential delay')
+    t.is(retries[0].error.message, 'connection refused')
+    t.alike(states, ['opening', 'opened'], 'stays opening while retrying')
+})
+
+test('retry gives up after max attempts or when shouldRetry refuses', async (t) => {
+    let attempts = 0
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            attempts++
+            throw new Error(attempts === 1 ? 'busy' : 'bad password')
+        },
+    }, {
+        retry: {
+            attempts: 5,
+            delay: 1,
+            shouldRetry: (error) => error.message === 'busy',
+        },
+    })
+
+    await t.exception(lifecycle.open(), /bad password/)
+    t.is(attempts, 2, 'stopped when shouldRetry returned false')
+    t.is(lifecycle.state, 'errored')
+
+    attempts = 0
+    await t.exception(lifecycle.with({ retry: { attempts: 2, delay: 1 } }).open(), /bad password/)
+    t.is(attempts, 2, 'per call policy limits attempts')
+})
+
+test('retry policy only applies to open and resume by default', async (t) => {
+    let closes = 0
+
+    const lifecycle = new Lifecycle({
+        async close () {
+            closes++
+            throw new Error('close failed')
+        },
+    }, {
+        retry: { attempts: 3, delay: 1 },
+    })
+
+    await lifecycle.open()
+    await t.exception(lifecycle.close(), /close failed/)
+    t.is(closes, 1, 'close was not retried')
+})
+
+test('close stops retrying', async (t) => {
+    let attempts = 0
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            attempts++
+            throw new Error('connection refused')
+        },
+    }, {
+        retry: { attempts: 10, delay: 50 },
+    })
+
+    lifecycle.on('retry', () => {
+        lifecycle.close()
+    })
+
+    t.alike(await lifecycle.open(), { aborted: true, by: 'close' })
+    await lifecycle.until('closed')
+    t.is(attempts, 1, 'no attempts after close')
+})
+
+test('until rejects when the state becomes unreachable', async (t) => {
+    const lifecycle = new Lifecycle({ open () {}, close () {} })
+
+    const opened = lifecycle.until('opened')
+    const suspended = lifecycle.until('suspended')
+
+    await lifecycle.open()
+    await opened
+    await lifecycle.close()
+
+    await t.exception(suspended, /State suspended is unreachable from closed/)
+    await t.exception(lifecycle.until('opened'), /State opened is unreachable from closed/, 'rejects immediately when closed')
+})
+
+test('until supports timeouts and abort signals', async (t) => {
+    const lifecycle = new Lifecycle({})
+
+    try {
+        await lifecycle.until('opened', { timeout: 10 })
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof TimeoutError, 'rejects with a TimeoutError')
+        t.is(error.timeout, 10)
+    }
+
+    const controller = new AbortController()
+    const waiting = lifecycle.until('opened', { signal: controller.signal })
+    controller.abort(new Error('gave up'))
+    await t.exception(waiting, /gave up/)
+
+    await t.exception(lifecycle.until('opened', { signal: AbortSignal.abort(new Error('already')) }), /already/)
+
+    const opened = lifecycle.until('opened', { timeout: 1000 })
+    await lifecycle.open()
+    await opened
+    t.pass('resolves before the timeout')
+})
+
+test('use waits for the resource to open', async (t) => {
+    const lifecycle = new Lifecycle({
+        async open () {
+            await new Promise((r) => setTimeout(r, 10))
+        },
+    })
+
+    const result = lifecycle.use(() => lifecycle.state)
+    lifecycle.open()
+
+    t.is(await result, 'opened', 'callback runs once opened')
+})
+
+test('close waits for in-flight work to drain', async (t) => {
+    const log = []
+
+    const lifecycle = new Lifecycle({
+        async close () {
+            log.push('close')
+        },
+    })
+
+    await lifecycle.open()
+
+    const work = lifecycle.use(async () => {
+        await new Promise((r) => setTimeout(r, 20))
+        log.push('work')
+        return 'done'
+    })
+
+    await lifecycle.close()
+    t.alike(log, ['work', 'close'], 'close runs after the work finishes')
+    t.is(await work, 'done')
+
+    await t.exception(lifecycle.use(() => {}), /Cannot use resource while closed/)
+})
+
+test('use is rejected while closing and held while suspending', async (t) => {
+    const lifecycle = new Lifecycle({
+        async suspend () {
+            await new Promise((r) => setTimeout(r, 10))
+        },
+        async close () {
+            await new Promise((r) => setTimeout(r, 10))
+        },
+    })
+
+    await lifecycle.open()
+
+    const suspend = lifecycle.suspend()
+    t.is(lifecycle.state, 'suspending')
+
+    let ran = false
+    const held = lifecycle.use(() => {
+        ran = true
+        return lifecycle.state
+    })
+
+    await suspend
+    t.is(ran, false, 'held while suspended')
+
+    await lifecycle.resume()
+    t.is(await held, 'resumed', 'runs once resumed')
+
+    const close = lifecycle.close()
+    t.is(lifecycle.state, 'closing')
+    await t.exception(lifecycle.use(() => {}), /Cannot use resource while closing/)
+    await close
+})
+
+test('use is rejected when the lifecycle errors', async (t) => {
+    const failure = new Error('connection refused')
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            await new Promise((r) => setTimeout(r, 10))
+            throw failure
+        },
+    })
+
+    lifecycle.open().catch(() => {})
+
+    const waiting = lifecycle.use(() => {})
+    const error = await waiting.then(() => null, (error) => error)
+
+    t.is(lifecycle.state, 'errored')
+    t.ok(error instanceof LifecycleError, 'waiting call rejects')
+    t.is(error.message, 'Cannot use resource while errored')
+    t.is(error.cause, lifecycle.error, 'carries the lifecycle error')
+    t.is(error.cause.cause, failure)
+
+    await t.exception(lifecycle.use(() => {}), /Cannot use resource while errored/, 'new calls reject')
+})
+
+test('drain timeout lets suspend proceed', async (t) => {
+    const lifecycle = new Lifecycle({}, { drainTimeout: 10 })
+
+    await lifecycle.open()
+
+    let finish
+    const work = lifecycle.use(() => new Promise((resolve) => {
+        finish = resolve
+    }))
+
+    await lifecycle.suspend()
+    t.is(lifecycle.state, 'suspended', 'suspended without waiting for the work')
+
+    finish()
+    await work
+})
+
+test('health checks run while opened and emit status changes', async (t) => {
+    let healthy = true
+    let checks = 0
+
+    const lifecycle = new Lifecycle({
+        async healthCheck () {
+            checks++
+            return healthy
+        },
+    }, {
+        health: { interval: 5, threshold: 2 },
+    })
+
+    const events = []
+    lifecycle.on('health', (event) => events.push(event))
+
+    t.is(lifecycle.health, 'unknown')
+    await lifecycle.open()
+    t.is(lifecycle.health, 'unknown', 'unknown until the first check')
+
+    await new Promise((r) => setTimeout(r, 20))
+    t.is(lifecycle.health, 'healthy')
+
+    healthy = false
+    await new Promise((r) => setTimeout(r, 30))
+    t.is(lifecycle.health, 'unhealthy')
+    t.is(lifecycle.state, 'opened', 'emit policy leaves the state alone')
+    t.alike(events.map((event) => event.health), ['healthy', 'unhealthy'])
+    t.ok(events[1].failures >= 2, 'unhealthy after reaching the threshold')
+    t.is(events[1].error.message, 'Health check failed')
+
+    await lifecycle.close()
+    const checked = checks
+    await new Promise((r) => setTimeout(r, 20))
+    t.is(checks, checked, 'no checks after close')
+})
+
+test('unhealthy policy can suspend, restart or error', async (t) => {
+    const wait = (ms) => new Promise((r) => setTimeout(r, ms))
+    const failing = {
+        healthCheck () {
+            throw new Error('ping failed')
+        },
+    }
+
+    const suspending = new Lifecycle(failing, {
+        health: { interval: 5, threshold: 1, policy: 'suspend' },
+    })
+    await suspending.open()
+    await suspending.until('suspended', { timeout: 1000 })
+    t.pass('suspend policy suspends')
+
+    const erroring = new Lifecycle(failing, {
+        health: { interval: 5, threshold: 1, policy: 'error' },
+    })
+    await erroring.open()
+    await erroring.until('errored', { timeout: 1000 })
+    t.is(erroring.failedOperation, 'healthCheck')
+    t.is(erroring.error.cause.message, 'ping failed')
+
+    let opens = 0
+    let fail = true
+    const restarting = new Lifecycle({
+        open () {
+            opens++
+        },
+        healthCheck () {
+            if (fail) throw new Error('ping failed')
+        },
+    }, {
+        health: { interval: 5, threshold: 1, policy: 'restart' },
+    })
+
+    const transitions = []
+    restarting.on((event) => transitions.push(event.to))
+
+    await restarting.open()
+    restarting.once('closed', () => {
+        fail = false
+    })
+    await wait(40)
+    t.is(opens, 2, 'restart policy reopens')
+    t.is(restarting.state, 'opened')
+    t.alike(transitions.slice(0, 7), ['opening', 'opened', 'closing', 'closed', 'init', 'opening', 'opened'])
+
+    await restarting.close()
+})
+
+test('idle resources are suspended and resumed on demand', async (t) => {
+    const log = []
+
+    const lifecycle = new Lifecycle({
+        suspend () {
+            log.push('suspend')
+        },
+        resume () {
+            log.push('resume')
+        },
+    }, {
+        idle: { timeout: 20 },
+    })
+
+    await lifecycle.open()
+
+    await new Promise((r) => setTimeout(r, 10))
+    await lifecycle.use(() => {})
+    await new Promise((r) => setTimeout(r, 10))
+    t.is(lifecycle.state, 'opened', 'usage restarts the idle timer')
+
+    await lifecycle.until('suspended', { timeout: 1000 })
+    t.alike(log, ['suspend'], 'suspended after going idle')
+
+    const state = await lifecycle.use(() => lifecycle.state)
+    t.is(state, 'resumed', 'resumed before running')
+    t.alike(log, ['suspend', 'resume'])
+
+    await lifecycle.close()
+})
+
+test('idle policies need a positive timeout', async (t) => {
+    t.exception(() => new Lifecycle({}, { idle: {} }), /Idle timeout must be a positive, finite number of milliseconds: undefined/)
+    t.exception(() => new Lifecycle({}, { idle: { timeout: 0 } }), LifecycleError)
+    t.exception(() => new Lifecycle({}, { idle: { timeout: '100' } }), LifecycleError)
+    t.exception(() => new Lifecycle({}, { idle: { timeout: Infinity } }), LifecycleError)
+    t.execution(() => new Lifecycle({}, { idle: { timeout: 100 } }))
+})
+
+test('idle timer waits for in-flight work', async (t) => {
+    const lifecycle = new Lifecycle({}, { idle: { timeout: 10 } })
+
+    await lifecycle.open()
+    await lifecycle.use(() => new Promise((r) => setTimeout(r, 30)))
+    t.is(lifecycle.state, 'opened', 'not suspended while work is running')
+
+    await lifecycle.until('suspended', { timeout: 1000 })
+    await lifecycle.close()
+})
+
+test('records operation history', async (t) => {
+    let fail = true
+
+    const lifecycle = new Lifecycle({
+        async open () {
+            await new Promise((r) => setTimeout(r, 10))
+            if (fail) throw new Error('open failed')
+        },
+    })
+
+    await t.exception(lifecycle.open(), /open failed/)
+    fail = false
+    await lifecycle.open()
+    await lifecycle.suspend()
+    await lifecycle.resume()
+    await lifecycle.close()
+
+    const history = lifecycle.history
+    t.alike(history.map((entry) => [entry.operation, entry.from, entry.to, entry.outcome]), [
+        ['open', 'init', 'errored', 'error'],
+        ['open', 'errored', 'opened', 'success'],
+        ['suspend', 'opened', 'suspended', 'success'],
+        ['resume', 'suspended', 'resumed', 'success'],
+        ['close', 'resumed', 'closed', 'success'],
+    ])
+    t.is(history[0].error.cause.message, 'open failed')
+    t.is(history[1].error, null)
+    t.ok(history[1].duration >= 9, 'duration covers the operation')
+    t.is(history[1].duration, history[1].endedAt - history[1].startedAt)
+})
+
+test('history is bounded', async (t) => {
+    const lifecycle = new Lifecycle({}, { historySize: 2 })
+
+    await lifecycle.open()
+    await lifecycle.suspend()
+    await lifecycle.resume()
+
+    t.alike(lifecycle.history.map((entry) => entry.operation), ['suspend', 'resume'])
+})
+
+test('summary reports time per state and the last failure', async (t) => {
+    let fail = true
+
+    const lifecycle = new Lifecycle({
+        open () {
+            if (fail) throw new Error('open failed')
+        },
+    }, { historySize: 1 })
+
+    await t.exception(lifecycle.open(), /open failed/)
+    fail = false
+    await lifecycle.open()
+    await new Promise((r) => setTimeout(r, 20))
+    await lifecycle.suspend()
+    await new Promise((r) => setTimeout(r, 10))
+
+    const { durations, operations, lastFailure } = lifecycle.summary()
+    t.ok(durations.opened >= 15, 'time spent opened')
+    t.ok(durations.suspended >= 5, 'includes time in the current state')
+    t.is(operations, 1)
+    t.is(lastFailure.operation, 'open', 'last failure kept after leaving the history')
+    t.is(lastFailure.error.cause.message, 'open failed')
+})
+
+test('snapshots serialize to JSON', async (t) => {
+    const lifecycle = new Lifecycle({
+        open () {
+            throw new Error('open failed')
+        },
+    }, {
+        metadata: { reason: 'maintenance' },
+    })
+
+    await t.exception(lifecycle.open(), /open failed/)
+
+    const snapshot = JSON.parse(JSON.stringify(lifecycle.snapshot()))
+    t.is(snapshot.version, 1)
+    t.is(snapshot.state, 'errored')
+    t.alike(snapshot.error, { name: 'OperationFailedError', message: 'Operation open failed: open failed' })
+    t.is(snapshot.failedOperation, 'open')
+    t.alike(snapshot.metadata, { reason: 'maintenance' })
+    t.is(snapshot.history.length, 1)
+    t.alike(snapshot.history[0].error, { name: 'OperationFailedError', message: 'Operation open failed: open failed' })
+})
+
+test('restore runs the operations to reach the snapshot state', async (t) => {
+    const original = new Lifecycle({})
+    original.metadata.suspendedBy = 'operator'
+
+    await original.open()
+    await original.suspend()
+
+    const snapshot = JSON.parse(JSON.stringify(original.snapshot()))
+
+    const log = []
+    const restored = await Lifecycle.restore(snapshot, {
+        open () {
+            log.push('open')
+        },
+        suspend () {
+            log.push('suspend')
+        },
+    })
+
+    t.is(restored.state, 'suspended')
+    t.alike(log, ['open', 'suspend'])
+    t.alike(restored.metadata, { suspendedBy: 'operator' })
+    t.alike(restored.history.map((entry) => entry.operation), ['open', 'suspend'], 'replayed operations are not recorded')
+
+    const resumed = await Lifecycle.restore({ ...snapshot, state: 'resumed' })
+    t.is(resumed.state, 'resumed')
+    t.alike(resumed.history.map((entry) => entry.operation), ['open', 'suspend'])
+
+    const opening = await Lifecycle.restore({ ...snapshot, state: 'opening' })
+    t.is(opening.state, 'opened', 'interim states restore to the operation target')
+})
+
+test('restore fails and closes when the snapshot state is not reached', async (t) => {
+    const snapshot = { version: 1, state: 'suspended', metadata: {}, history: [] }
+    const closes = []
+
+    const refused = await Lifecycle.restore(snapshot, {
+        close () {
+            closes.push('refused')
+        },
+    }, {
+        guards: { opened: { suspending: () => 'busy' } },
+    }).then(() => null, (error) => error)
+
+    t.ok(refused instanceof LifecycleError)
+    t.is(refused.message, 'Cannot restore state: suspended, reached opened instead')
+    t.is(refused.from, 'opened')
+    t.is(refused.to, 'suspended')
+
+    const failed = await Lifecycle.restore(snapshot, {
+        suspend () {
+            throw new Error('disk full')
+        },
+        close () {
+            closes.push('failed')
+        },
+    }).then(() => null, (error) => error)
+
+    t.ok(failed instanceof OperationFailedError)
+    t.is(failed.cause.message, 'disk full')
+    t.alike(closes, ['refused', 'failed'], 'half restored lifecycles are closed')
+})
+
+test('restore starts terminal and errored states directly', async (t) => {
+    let opened = false
+    const operations = {
+        open () {
+            opened = true
+        },
+    }
+
+    const closed = await Lifecycle.restore({ version: 1, state: 'closed', metadata: {}, history: [] }, operations)
+    t.is(closed.state, 'closed')
+
+    const errored = await Lifecycle.restore({
+        version: 1,
+        state: 'errored',
+        error: { name: 'TimeoutError', message: 'too slow' },
+        failedOperation: 'open',
+        metadata: {},
+        history: [{
+            operation: 'open',
+            from: 'init',
+            to: 'errored',
+            startedAt: 1000,
+            endedAt: 1500,
+            duration: 500,
+            outcome: 'error',
+            error: { name: 'TimeoutError', message: 'too slow' },
+        }],
+    }, operations)
+    t.is(errored.state, 'errored')
+    t.is(errored.error.name, 'TimeoutError')
+    t.is(errored.failedOperation, 'open')
+    t.is(opened, false, 'no operations run')
+    t.is(errored.summary().lastFailure, errored.history[0], 'last failure is restored')
+    t.is(errored.summary().lastFailure.error.message, 'too slow')
+
+    await errored.open()
+    t.is(errored.state, 'opened', 'can retry after restoring errored')
+})
+
+test('StateMachine can start in any state', async (t) => {
+    const machine = new StateMachine({
+        init: ['started'],
+        started: ['stopped'],
+        stopped: [],
+    }, { initial: 'started' })
+
+    t.is(machine.state, 'started')
+    machine.transition('stopped')
+    t.is(machine.state, 'stopped')
+})
+
+test('changes iterates over every transition until closed', async (t) => {
+    const lifecycle = new Lifecycle()
+    const changes = lifecycle.changes()
+
+    const run = (async () => {
+        await lifecycle.open()
+        await lifecycle.suspend()
+        await lifecycle.resume()
+        await lifecycle.close()
+    })()
+
+    const seen = []
+
+    for await (const change of changes) {
+        // a slow consumer still sees every transition
+        await new Promise((resolve) => setTimeout(resolve, 2))
+        seen.push(`${change.operation}: ${change.from} -> ${change.to}`)
+    }
+
+    await run
+
+    t.alike(seen, [
+        'open: init -> opening',
+        'open: opening -> opened',
+        'suspend: opened -> suspending',
+        'suspend: suspending -> suspended',
+        'resume: suspended -> resuming',
+        'resume: resuming -> resumed',
+        'close: resumed -> closing',
+        'close: closing -> closed',
+    ])
+
+    const after = await lifecycle.changes().next()
+    t.is(after.done, true, 'finishes at once when already closed')
+})
+
+test('changes finishes early when the signal is aborted', async (t) => {
+    const lifecycle = new Lifecycle()
+    const controller = new AbortController()
+    const seen = []
+
+    const iteration = (async () => {
+        for await (const change of lifecycle.changes({ signal: controller.signal })) {
+            seen.push(change.to)
+
+            if (change.to === 'opened') {
+                controller.abort()
+            }
+        }
+    })()
+
+    await lifecycle.open()
+    await lifecycle.suspend()
+    await iteration
+
+    t.alike(seen, ['opening', 'opened'])
+
+    const aborted = lifecycle.changes({ signal: AbortSignal.abort() })
+    t.is((await aborted.next()).done, true, 'an aborted signal finishes at once')
+})
+
+test('changes stops listening when the loop breaks', async (t) => {
+    const lifecycle = new Lifecycle()
+    const changes = lifecycle.changes()
+
+    await lifecycle.open()
+
+    for await (const change of changes) {
+        t.is(change.to, 'opening')
+        break
+    }
+
+    t.is((await changes.next()).done, true, 'buffered transitions are dropped')
+})
+
+test('StateMachine changes iterates until a terminal state', async (t) => {
+    const machine = new StateMachine({
+        init: ['running'],
+        running: ['paused', 'done'],
+        paused: ['running'],
+        done: [],
+    })
+
+    const changes = machine.changes()
+
+    machine.transition('running')
+    machine.transition('paused')
+    machine.transition('running')
+    machine.transition('done')
+
+    const seen = []
+
+    for await (const { from, to } of changes) {
+        seen.push([from, to])
+    }
+
+    t.alike(seen, [['init', 'running'], ['running', 'paused'], ['paused', 'running'], ['running', 'done']])
+})
+
+test('subclasses define operations with protected hooks', async (t) => {
+    class Database extends Lifecycle {
+        constructor (url) {
+            super({}, { name: 'db' })
+            this.url = url
+            this.log = []
+        }
+
+        async _open ({ attempt }) {
+            this.log.push(`open ${this.url} attempt ${attempt}`)
+        }
+
+        async _suspend () {
+            this.log.push('suspend')
+        }
+
+        async _close () {
+            this.log.push('close')
+        }
+    }
+
+    const db = new Database('postgres://localhost')
+    t.ok(db instanceof Lifecycle)
+
+    await db.open()
+    await db.suspend()
+    await db.resume()
+    await db.close()
+
+    t.alike(db.log, ['open postgres://localhost attempt 1', 'suspend', 'close'], 'hooks are bound to the instance')
+    t.is(db.state, 'closed')
+
+    const restored = await Database.restore({ version: 1, state: 'opened', metadata: {}, history: [] })
+    t.ok(restored instanceof Database, 'restore builds the subclass')
+    t.is(restored.state, 'opened')
+})
+
+test('constructor handlers take precedence over hooks', async (t) => {
+    const calls = []
+
+    class Cache extends Lifecycle {
+        async _open () {
+            calls.push('hook open')
+        }
+
+        async _drain () {
+            calls.push('hook drain')
+        }
+
+        async _healthCheck () {
+            calls.push('hook health')
+            return true
+        }
+    }
+
+    const cache = new Cache({
+        async open () {
+            calls.push('handler open')
+        },
+    }, {
+        transitions: {
+            opened: ['suspending', 'closing', 'errored', 'draining'],
+            draining: ['drained', 'errored'],
+            drained: ['closing'],
+        },
+        operations: {
+            drain: { interimState: 'draining', toState: 'drained' },
+        },
+        health: { interval: 5 },
+    })
+
+    await cache.open()
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    await cache.drain()
+    await cache.close()
+
+    t.is(calls[0], 'handler open')
+    t.ok(calls.includes('hook health'), 'health check hook runs')
+    t.ok(calls.includes('hook drain'), 'custom operation hook runs')
+    t.absent(calls.includes('hook open'))
+})
+
+test('operations receive a context and the arguments they were called with', async (t) => {
+    const calls = []
 
     const lifecycle = new Lifecycle({
-        async open () {
-            handle = await fs.open(path, 'w+')
+        async open (context, config, extra) {
+            calls.push({ context, config, extra })
+
+            if (config.host === 'primary') {
+                throw new Error('primary is down')
+            }
         },
-        async suspend () {
-            await handle.sync()
-            await handle.close()
-            handle = null
+    })
+
+    const primary = { host: 'primary' }
+    await t.exception(lifecycle.open(primary, 'first'), /primary is down/)
+
+    const [{ context, config, extra }] = calls
+    t.is(context.lifecycle, lifecycle)
+    t.is(context.operation, 'open')
+    t.is(context.from, 'init')
+    t.is(context.to, 'opened')
+    t.is(context.attempt, 1)
+    t.ok(context.signal instanceof AbortSignal)
+    t.is(config, primary)
+    t.is(extra, 'first')
+
+    // reconnect to another host without closure tricks
+    await lifecycle.open({ host: 'replica' })
+    t.is(lifecycle.state, 'opened')
+    t.is(calls[1].config.host, 'replica')
+    t.is(calls[1].context.from, 'errored')
+})
+
+test('operations can be tested in isolation with a context', async (t) => {
+    const handlers = {
+        async open ({ signal }, { host }) {
+            return `${host} ${signal.aborted ? 'aborted' : 'connected'}`
         },
-        async resume () {
-            handle = await fs.open(path, 'r+')
+    }
+
+    const result = await handlers.open({ signal: new AbortController().signal }, { host: 'localhost' })
+    t.is(result, 'localhost connected')
+})
+
+test('calls coalesce only when their arguments are the same', async (t) => {
+    const hosts = []
+
+    const lifecycle = new Lifecycle({
+        async open (context, config) {
+            hosts.push(config.host)
+            await new Promise((resolve) => setTimeout(resolve, 5))
         },
-        async close () {
-            await handle.close()
-            handle = null
+    })
+
+    const config = { host: 'a' }
+
+    await Promise.all([lifecycle.open(config), lifecycle.open(config), lifecycle.open({ host: 'b' })])
+
+    t.alike(hosts, ['a'], 'the open with other arguments is skipped once opened')
+    t.is(lifecycle.history.length, 1)
+})
+
+test('with() applies options to calls and forwards their arguments', async (t) => {
+    const received = []
+
+    const lifecycle = new Lifecycle({
+        open: (context, config) => {
+            received.push(config)
+            return new Promise((resolve) => setTimeout(resolve, 20))
+        },
+        async drain (context, batch) {
+            received.push(batch)
+        },
+    }, {
+        transitions: {
+            opened: ['suspending', 'closing', 'errored', 'draining'],
+            draining: ['drained', 'errored'],
+            drained: ['closing'],
         },
+        operations: {
+            drain: { interimState: 'draining', toState: 'drained' },
+        },
+    })
+
+    await t.exception(lifecycle.with({ timeout: 5 }).open({ host: 'slow' }), TimeoutError)
+    await lifecycle.with({ timeout: 1000 }).open({ host: 'fast' })
+    t.is(lifecycle.state, 'opened')
+
+    await lifecycle.drain(42)
+    await lifecycle.with({ timeout: 100 }).close()
+
+    t.alike(received, [{ host: 'slow' }, { host: 'fast' }, 42], 'custom operations forward their arguments too')
+    t.is(lifecycle.state, 'closed')
+})
+
+test('health checks receive a context whose signal aborts when checks stop', async (t) => {
+    const contexts = []
+    let aborted = null
+
+    const lifecycle = new Lifecycle({
+        healthCheck (context) {
+            contexts.push(context)
+
+            if (contexts.length === 1) {
+                return false
+            }
+
+            return new Promise((resolve, reject) => {
+                context.signal.addEventListener('abort', () => {
+                    aborted = context.signal.reason
+                    reject(context.signal.reason)
+                })
+            })
+        },
+    }, {
+        health: { interval: 5, threshold: 3 },
     })
 
     await lifecycle.open()
-    t.ok(handle, 'file handle opened')
+    await new Promise((r) => setTimeout(r, 30))
+    await lifecycle.close()
 
-    await handle.write('hello')
+    t.is(contexts.length, 2, 'a hung check blocks the next ones')
+    t.is(contexts[0].lifecycle, lifecycle)
+    t.is(contexts[0].operation, 'healthCheck')
+    t.is(contexts[0].from, 'opened')
+    t.is(contexts[0].attempt, 1)
+    t.is(contexts[1].attempt, 2, 'counts consecutive checks since the last pass')
+    t.is(aborted?.name, 'AbortError', 'closing aborts the hung check')
+})
 
-    await lifecycle.suspend()
+test('restart reopens with the arguments of the last open', async (t) => {
+    const hosts = []
+    let healthy = true
 
-    t.is(handle, null, 'handle closed during suspend')
+    const lifecycle = new Lifecycle({
+        async open (context, { host }) {
+            hosts.push(host)
+        },
+        async healthCheck () {
+            return healthy
+        },
+    }, {
+        health: { interval: 5, threshold: 1, policy: 'restart' },
+    })
 
-    await lifecycle.resume()
-    const data = await handle.readFile('utf8')
-    t.is(data, 'hello', 'data persisted through suspend/resume')
+    await lifecycle.open({ host: 'replica' })
+    lifecycle.once('closed', () => {
+        healthy = true
+    })
+    healthy = false
+    await new Promise((resolve) => setTimeout(resolve, 40))
 
+    t.alike(hosts, ['replica', 'replica'])
+    t.is(lifecycle.state, 'opened')
     await lifecycle.close()
-    t.is(handle, null, 'handle cleaned up')
 })
 
-test('http server suspend/resume', async (t) => {
-    class Server {
-        #lifecycle = new Lifecycle({
-            open: this.#open.bind(this),
-            suspend: this.#suspend.bind(this),
-            resume: this.#resume.bind(this),
-            close: this.#close.bind(this),
-        })
+test('close during a restart keeps the resource closed', async (t) => {
+    let opens = 0
+    let healthy = true
 
-        async #open () {
-            this.server = http.createServer()
-            await new Promise((resolve) => this.server.listen(0, resolve))
-        }
+    const lifecycle = new Lifecycle({
+        open () {
+            opens++
+        },
+        async close () {
+            await new Promise((r) => setTimeout(r, 10))
+        },
+        healthCheck () {
+            return healthy
+        },
+    }, {
+        health: { interval: 5, threshold: 1, policy: 'restart' },
+    })
 
-        async #suspend () {
-            this.server.close()
-            await new Promise((resolve, reject) => {
-                this.server.on('close', resolve)
-                this.server.on('error', reject)
-            })
-        }
+    await lifecycle.open()
+    healthy = false
+    await lifecycle.until('closing', { timeout: 1000 })
+    healthy = true
 
-        async #resume () {
-            await new Promise((resolve) => this.server.listen(0, resolve))
-        }
+    await lifecycle.close()
+    await new Promise((r) => setTimeout(r, 20))
 
-        async #close () {
-            this.server.close()
-            await new Promise((resolve, reject) => {
-                this.server.on('close', resolve)
-                this.server.on('error', reject)
-            })
-            this.server = null
-        }
+    t.is(lifecycle.state, 'closed', 'the restart does not reopen')
+    t.is(opens, 1)
+})
 
-        async start () {
-            await this.#lifecycle.open()
-        }
+test('restarts step back to init without finishing changes', async (t) => {
+    let healthy = true
 
-        async suspend () {
-            await this.#lifecycle.suspend()
-        }
+    const lifecycle = new Lifecycle({
+        healthCheck () {
+            return healthy
+        },
+    }, {
+        health: { interval: 5, threshold: 1, policy: 'restart' },
+    })
 
-        async resume () {
-            await this.#lifecycle.resume()
-        }
+    await lifecycle.open()
 
-        async stop () {
-            await this.#lifecycle.close()
-        }
+    const changes = lifecycle.changes()
+    lifecycle.once('closed', () => {
+        healthy = true
+    })
+    healthy = false
 
-        get state () {
-            return this.#lifecycle.state
-        }
-    }
+    const steps = []
+    const keepAlive = setTimeout(() => {}, 1000) // health checks don't hold the process open
 
-    const server = new Server()
-    t.is(server.state, 'init')
+    for await (const { from, to, operation } of changes) {
+        steps.push(`${operation}: ${from} -> ${to}`)
 
-    await server.start()
-    t.is(server.state, 'opened')
+        if (to === 'opened') {
+            break
+        }
+    }
 
-    await server.suspend()
-    t.is(server.state, 'suspended')
+    clearTimeout(keepAlive)
 
-    await server.resume()
-    t.is(server.state, 'resumed')
+    t.alike(steps, [
+        'close: opened -> closing',
+        'close: closing -> closed',
+        'reset: closed -> init',
+        'open: init -> opening',
+        'open: opening -> opened',
+    ])
 
-    await server.stop()
-    t.is(server.state, 'closed')
+    await lifecycle.close()
 })
 
 test('Queue processes items in order', async (t) => {
@@ -616,10 +2416,296 @@ test('StateMachine waits for state changes', async (t) => {
     t.is(machine.state, 'complete')
 })
 
+test('StateMachine reports reachable states', async (t) => {
+    const machine = new StateMachine({
+        init: ['started'],
+        started: ['stopped'],
+        stopped: [],
+    })
+
+    t.ok(machine.reaches('init'), 'current state is reachable')
+    t.ok(machine.reaches('stopped'), 'reaches states through several transitions')
+
+    const started = machine.until('started')
+    machine.transition('started')
+    await started
+
+    t.is(machine.reaches('init'), false, 'cannot go back')
+    await t.exception(machine.until('init'), /State init is unreachable from started/)
+})
+
+test('StateMachine validates the transition map', async (t) => {
+    t.alike(StateMachine.validate({ init: ['running'], running: ['done'], done: [] }), [])
+
+    const problems = StateMachine.validate({
+        init: ['runing', 'running'],
+        running: ['looping'],
+        looping: ['running'],
+        orphan: [],
+        broken: 'done',
+    })
+
+    t.alike(problems.map(({ code, state, target }) => [code, state, target]), [
+        ['unknown-target', 'init', 'runing'],
+        ['invalid-targets', 'broken', null],
+        ['no-terminal-path', 'init', null],
+        ['no-terminal-path', 'running', null],
+        ['no-terminal-path', 'looping', null],
+        ['unreachable', 'orphan', null],
+        ['unreachable', 'broken', null],
+        ['no-terminal-path', 'broken', null],
+    ])
+
+    t.alike(StateMachine.validate({ started: [] }).map(({ code }) => code), ['missing-init'])
+})
+
+test('StateMachine throws every problem with the transition map', async (t) => {
+    try {
+        new StateMachine({ init: ['runing'], running: [] })
+        t.fail('should have thrown')
+    } catch (error) {
+        t.ok(error instanceof TransitionMapError)
+        t.ok(error instanceof LifecycleError)
+        t.is(error.message, [
+            'Invalid transition map:',
+            '- State init has unknown target: runing',
+            '- State init has no path to a terminal state',
+            '- State running is unreachable from init',
+        ].join('\n'))
+        t.is(error.problems.length, 3)
+    }
+
+    t.exception(() => {
+        return new Lifecycle({}, { transitions: { opened: ['closing', 'draning'] } })
+    }, /State opened has unknown target: draning/)
+})
+
+test('StateMachine guards refuse transitions with a reason', async (t) => {
+    let quota = 0
+
+    const machine = new StateMachine({
+        init: ['running'],
+        running: ['paused', 'done'],
+        paused: ['running', 'done'],
+        done: [],
+    }, {
+        guards: {
+            paused: {
+                running: () => quota > 0 || 'quota exhausted',
+            },
+            running: {
+                done: () => false,
+            },
+        },
+    })
+
+    machine.transition('running')
+    t.alike(machine.check('done'), {
+        allowed: false,
+        reason: 'Guard refused transition from running to done',
+    })
+
+    machine.transition('paused')
+    t.is(machine.allows('running'), false)
+    t.alike(machine.check('running'), {
+        allowed: false,
+        reason: 'Guard refused transition from paused to running: quota exhausted',
+    })
+    t.alike(machine.check('init'), { allowed: false, reason: 'No transition from paused to init' })
+    t.exception(() => machine.transition('running'), /quota exhausted/)
+
+    quota = 1
+    t.alike(machine.check('running'), { allowed: true, reason: null })
+    machine.transition('running')
+    t.is(machine.state, 'running')
+})
+
+test('StateMachine runs entry and exit actions', async (t) => {
+    const log = []
+
+    const machine = new StateMachine({
+        init: ['running'],
+        running: ['done'],
+        done: [],
+    }, {
+        exit: {
+            init: (from, to) => log.push(`exit ${from} for ${to}`),
+            running: () => {
+                throw new Error('still busy')
+            },
+        },
+        enter: {
+            running: (from, to) => log.push(`enter ${to} from ${from} in ${machine.state}`),
+        },
+    })
+
+    machine.transition('running')
+    t.alike(log, ['exit init for running', 'enter running from init in running'])
+
+    t.exception(() => machine.transition('done'), /still busy/)
+    t.is(machine.state, 'running', 'a throwing exit action prevents the transition')
+})
+
+test('Lifecycle skips operations refused by guards', async (t) => {
+    let allowResume = false
+    const entered = []
+
+    const lifecycle = new Lifecycle({}, {
+        guards: {
+            suspended: {
+                resuming: () => allowResume,
+            },
+        },
+        enter: {
+            suspended: () => entered.push('suspended'),
+        },
+    })
+
+    await lifecycle.open()
+    await lifecycle.suspend()
+    await lifecycle.resume()
+    t.is(lifecycle.state, 'suspended', 'resume skipped while the guard refuses')
+
+    allowResume = true
+    await lifecycle.resume()
+    t.is(lifecycle.state, 'resumed')
+    t.alike(entered, ['suspended'])
+})
+
+test('Lifecycle fails operations whose final transition is refused', async (t) => {
+    const lifecycle = new Lifecycle({}, {
+        guards: {
+            opening: { opened: () => 'not yet' },
+        },
+    })
+
+    const error = await lifecycle.open().then(() => null, (error) => error)
+
+    t.ok(error instanceof InvalidTransitionError, 'open rejects')
+    t.is(error.reason, 'Guard refused transition from opening to opened: not yet')
+    t.is(error.operation, 'open')
+    t.is(lifecycle.state, 'errored', 'does not stay opening')
+    t.is(lifecycle.error, error)
+    t.is(lifecycle.history.at(-1).outcome, 'error')
+})
+
+test('Lifecycle notifies listeners when an entry action throws', async (t) => {
+    const events = []
+
+    const lifecycle = new Lifecycle({}, {
+        enter: {
+            opened: () => {
+                throw new Error('cache warmup failed')
+            },
+        },
+    })
+
+    lifecycle.on((event) => events.push(`${event.from} -> ${event.to}`))
+
+    const error = await lifecycle.open().then(() => null, (error) => error)
+
+    t.ok(error instanceof OperationFailedError)
+    t.is(error.cause.message, 'cache warmup failed')
+    t.alike(events, ['init -> opening', 'opening -> opened', 'opened -> errored'])
+    t.is(lifecycle.state, 'errored')
+    t.alike(lifecycle.history.map((entry) => [entry.operation, entry.outcome]), [['open', 'error']])
+})
+
+test('Lifecycle fails operations whose interim entry action throws', async (t) => {
+    const lifecycle = new Lifecycle({}, {
+        enter: {
+            opening: () => {
+                throw new Error('no config')
+            },
+        },
+    })
+
+    const error = await lifecycle.open().then(() => null, (error) => error)
+
+    t.ok(error instanceof OperationFailedError)
+    t.is(error.cause.message, 'no config')
+    t.is(lifecycle.state, 'errored', 'does not stay opening')
+    t.is(lifecycle.error, error)
+    t.alike(lifecycle.history.map((entry) => [entry.operation, entry.outcome]), [['open', 'error']])
+
+    await lifecycle.close()
+    t.is(lifecycle.state, 'closed', 'can still close')
+})
+
+test('Lifecycle fails operations whose exit action throws', async (t) => {
+    let busy = true
+
+    const lifecycle = new Lifecycle({}, {
+        exit: {
+            opened: () => {
+                if (busy) throw new Error('still busy')
+            },
+        },
+    })
+
+    await lifecycle.open()
+
+    const error = await lifecycle.close().then(() => null, (error) => error)
+
+    t.ok(error instanceof OperationFailedError)
+    t.is(error.cause.message, 'still busy')
+    t.is(lifecycle.state, 'opened', 'the transition did not happen')
+    t.is(lifecycle.history.at(-1).outcome, 'error')
+
+    busy = false
+    await lifecycle.close()
+    t.is(lifecycle.state, 'closed')
+})
+
+test('Lifecycle runs each guard once per transition', async (t) => {
+    const calls = []
+
+    const lifecycle = new Lifecycle({}, {
+        guards: {
+            init: { opening: () => calls.push('init -> opening') > 0 },
+            opening: { opened: () => calls.push('opening -> opened') > 0 },
+        },
+    })
+
+    await lifecycle.open()
+    t.alike(calls, ['init -> opening', 'opening -> opened'])
+
+    let erroredChecks = 0
+    const failing = new Lifecycle({
+        open () {
+            throw new Error('open failed')
+        },
+    }, {
+        guards: {
+            opening: { errored: () => ++erroredChecks > 0 },
+        },
+    })
+
+    await t.exception(failing.open(), OperationFailedError)
+    t.is(failing.state, 'errored')
+    t.is(erroredChecks, 1, 'the errored guard runs once per failure')
+
+    let resumeChecks = 0
+    const strict = new Lifecycle({}, {
+        strict: true,
+        guards: {
+            suspended: { resuming: () => ++resumeChecks > 1 },
+        },
+    })
+
+    await strict.open()
+    await strict.suspend()
+    const error = await strict.resume().then(() => null, (error) => error)
+    t.ok(error instanceof InvalidTransitionError)
+    t.alike(error.allowedOperations, ['close'])
+    t.is(resumeChecks, 1, 'listing the allowed operations runs no guards')
+})
+
 test('StateMachine resolves immediately for current state', async (t) => {
     const transitions = {
         init: ['started'],
         started: ['stopped'],
+        stopped: [],
     }
 
     const machine = new StateMachine(transitions)
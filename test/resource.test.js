@@ -0,0 +1,118 @@
+import test from 'brittle'
+import Lifecycle, { LifecycleGroup, OperationFailedError, openedResource } from '../src/index.js'
+
+function resource (log, { fail = null } = {}) {
+    return new Lifecycle({
+        async open () {
+            log.push('open')
+            if (fail === 'open') throw new Error('open failed')
+        },
+        async close () {
+            log.push('close')
+        },
+    }, { strict: true })
+}
+
+test('disposing closes an opened lifecycle', async (t) => {
+    const log = []
+    const lifecycle = resource(log)
+
+    await lifecycle.open()
+    await lifecycle[Symbol.asyncDispose]()
+
+    t.is(lifecycle.state, 'closed')
+    t.alike(log, ['open', 'close'])
+})
+
+test('disposing does nothing before opening or after closing, even in strict mode', async (t) => {
+    const log = []
+    const lifecycle = resource(log)
+
+    await lifecycle[Symbol.asyncDispose]()
+    t.is(lifecycle.state, 'init')
+
+    await lifecycle.open()
+    await lifecycle.close()
+    await lifecycle[Symbol.asyncDispose]()
+
+    t.alike(log, ['open', 'close'])
+})
+
+test('openedResource opens and disposes even when the scope throws', async (t) => {
+    const log = []
+    const lifecycle = resource(log)
+
+    // what `await using db = await openedResource(lifecycle)` does
+    const scope = async () => {
+        const db = await openedResource(lifecycle)
+
+        try {
+            t.is(db, lifecycle, 'returns the resource')
+            t.is(db.state, 'opened')
+            throw new Error('assertion failed')
+        } finally {
+            await db[Symbol.asyncDispose]()
+        }
+    }
+
+    await t.exception(scope(), /assertion failed/)
+    t.is(lifecycle.state, 'closed')
+    t.alike(log, ['open', 'close'])
+})
+
+test('openedResource closes the resource when opening fails', async (t) => {
+    const log = []
+    const lifecycle = resource(log, { fail: 'open' })
+
+    await t.exception(openedResource(lifecycle), OperationFailedError)
+    t.is(lifecycle.state, 'closed')
+    t.alike(log, ['open', 'close'])
+})
+
+test('disposing a group closes every member', async (t) => {
+    const log = []
+    const group = new LifecycleGroup({ db: resource(log), cache: resource(log) }, { cache: ['db'] })
+
+    await openedResource(group)
+    await group[Symbol.asyncDispose]()
+
+    t.is(group.state, 'closed')
+})
+
+test('disposes several resources in reverse order, even when the scope throws', async (t) => {
+    const log = []
+
+    const named = (name) => new Lifecycle({
+        async open () {
+            log.push(`${name} open`)
+        },
+        async close () {
+            log.push(`${name} close`)
+        },
+    })
+
+    // what `await using` with two resources, or an `AsyncDisposableStack`, does
+    const scope = async (fail) => {
+        const db = await openedResource(named('db'))
+
+        try {
+            const cache = await openedResource(named('cache'))
+
+            try {
+                if (fail) throw new Error('scope failed')
+            } finally {
+                await cache[Symbol.asyncDispose]()
+            }
+        } finally {
+            await db[Symbol.asyncDispose]()
+        }
+    }
+
+    await scope(false)
+    t.alike(log, ['db open', 'cache open', 'cache close', 'db close'], 'last opened is closed first')
+
+    log.length = 0
+
+    await t.exception(scope(true), /scope failed/)
+    t.alike(log, ['db open', 'cache open', 'cache close', 'db close'], 'same order when the scope throws')
+})
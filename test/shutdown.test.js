@@ -0,0 +1,77 @@
+import test from 'brittle'
+import { spawn } from 'child_process'
+import { fileURLToPath } from 'url'
+
+const fixture = fileURLToPath(new URL('./fixtures/shutdown.js', import.meta.url))
+
+function run (mode, { signals = [] } = {}) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, [fixture, mode])
+        let stdout = ''
+        let stderr = ''
+
+        child.stderr.on('data', (data) => {
+            stderr += data
+        })
+
+        child.stdout.on('data', (data) => {
+            stdout += data
+
+            if (data.includes('ready') && signals[0]) {
+                child.kill(signals[0])
+            }
+
+            if (data.includes('closing') && signals[1]) {
+                child.kill(signals[1])
+            }
+        })
+
+        child.on('exit', (code) => resolve({ code, stdout, stderr }))
+    })
+}
+
+test('closes on SIGTERM and exits with the success code', async (t) => {
+    const { code, stdout } = await run('success', { signals: ['SIGTERM'] })
+    t.is(code, 0)
+    t.ok(stdout.includes('closing'), 'lifecycle was closed')
+})
+
+test('closes on SIGINT', async (t) => {
+    const { code, stdout } = await run('success', { signals: ['SIGINT'] })
+    t.is(code, 0)
+    t.ok(stdout.includes('closing'), 'lifecycle was closed')
+})
+
+test('exits with the failure code when close fails', async (t) => {
+    const { code } = await run('failure', { signals: ['SIGTERM'] })
+    t.is(code, 1)
+})
+
+test('exits with the timeout code when close misses the deadline', async (t) => {
+    const { code } = await run('hang', { signals: ['SIGTERM'] })
+    t.is(code, 124)
+})
+
+test('a second signal forces exit', async (t) => {
+    const { code } = await run('forced', { signals: ['SIGTERM', 'SIGTERM'] })
+    t.is(code, 130)
+})
+
+test('closes on uncaught exceptions', async (t) => {
+    const { code, stdout, stderr } = await run('error')
+    t.is(code, 1)
+    t.ok(stdout.includes('closing'), 'lifecycle was closed')
+    t.ok(stderr.includes('boom'), 'error was reported')
+})
+
+test('closes before exit when the event loop empties', async (t) => {
+    const { code, stdout } = await run('idle')
+    t.is(code, 0)
+    t.ok(stdout.includes('closing'), 'lifecycle was closed')
+})
+
+test('keeps the exit code set by the program when the event loop empties', async (t) => {
+    const { code, stdout } = await run('exit-code')
+    t.is(code, 2)
+    t.ok(stdout.includes('closing'), 'lifecycle was closed')
+})
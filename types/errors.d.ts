@@ -0,0 +1,144 @@
+/**
+ * Base class for errors thrown by lifecycles and state machines.
+ * Carries the lifecycle's name and the transition that went wrong, so handlers can match on fields instead of messages.
+ */
+export class LifecycleError extends Error {
+    /**
+     * Creates a new lifecycle error.
+     * @param {string} message - A description of what went wrong
+     * @param {LifecycleErrorDetails} [details] - Structured details about the transition
+     */
+    constructor (message: string, details?: LifecycleErrorDetails)
+    /** @type {string|null} The name of the lifecycle or state machine, if it was given one */
+    lifecycle: string | null
+    /** @type {string|null} The state the transition started from */
+    from: string | null
+    /** @type {string|null} The state the transition was heading to */
+    to: string | null
+    /** @type {string|null} The name of the operation involved, if any */
+    operation: string | null
+}
+/**
+ * Thrown when a transition isn't allowed: by `StateMachine#transition()` when the map or a guard refuses it,
+ * and by lifecycles in strict mode when an operation isn't allowed from the current state.
+ */
+export class InvalidTransitionError extends LifecycleError {
+    /**
+     * Creates a new invalid transition error.
+     * @param {string} message - A description of the refused transition
+     * @param {LifecycleErrorDetails & { reason?: string, allowedOperations?: string[] }} [details] - Structured details about the transition
+     */
+    constructor (
+        message: string,
+        details?: LifecycleErrorDetails & {
+            reason?: string
+            allowedOperations?: string[]
+        },
+    )
+    /** @type {string|null} Why the transition was refused */
+    reason: string | null
+    /** @type {string[]|null} The names of the operations allowed from the state, for lifecycle operations */
+    allowedOperations: string[] | null
+}
+/**
+ * Thrown when a lifecycle is asked to run an operation it doesn't define.
+ */
+export class UnknownOperationError extends LifecycleError {
+}
+/**
+ * Thrown when an operation's handler fails. The handler's error is kept in `cause`.
+ */
+export class OperationFailedError extends LifecycleError {
+}
+/**
+ * Thrown when a lifecycle operation doesn't settle within its timeout, or a wait for a state expires.
+ * The operation keeps running in the background, but its result is ignored.
+ */
+export class TimeoutError extends LifecycleError {
+    /**
+     * Creates a new timeout error.
+     * @param {string} message - A description of what timed out
+     * @param {LifecycleErrorDetails & { timeout?: number }} [details] - Structured details about the timeout
+     */
+    constructor (
+        message: string,
+        details?: LifecycleErrorDetails & {
+            timeout?: number
+        },
+    )
+    /** @type {number} The timeout that expired, in milliseconds */
+    timeout: number
+}
+/**
+ * @typedef {Object} LifecycleErrorDetails
+ * @property {string|null} [lifecycle] - The name of the lifecycle or state machine
+ * @property {string|null} [from] - The state the transition started from
+ * @property {string|null} [to] - The state the transition was heading to
+ * @property {string|null} [operation] - The name of the operation involved
+ * @property {any} [cause] - The error that caused this one
+ */
+/**
+ * Thrown when a transition map has problems, listing every problem found.
+ */
+export class TransitionMapError extends LifecycleError {
+    /**
+     * Creates a new transition map error.
+     * @param {TransitionMapProblem[]} problems - Every problem found in the transition map
+     * @param {LifecycleErrorDetails} [details] - The name of the lifecycle or state machine
+     */
+    constructor (problems: TransitionMapProblem[], details?: LifecycleErrorDetails)
+    /** @type {TransitionMapProblem[]} Every problem found in the transition map */
+    problems: TransitionMapProblem[]
+}
+/**
+ * Thrown when the dependencies of a lifecycle group form a cycle.
+ */
+export class DependencyCycleError extends LifecycleError {
+    /**
+     * Creates a new dependency cycle error.
+     * @param {string[]} cycle - The member names along the cycle, starting and ending with the same member
+     */
+    constructor (cycle: string[])
+    /** @type {string[]} The member names along the cycle, starting and ending with the same member */
+    cycle: string[]
+}
+export type LifecycleErrorDetails = {
+    /**
+     * - The name of the lifecycle or state machine
+     */
+    lifecycle?: string | null
+    /**
+     * - The state the transition started from
+     */
+    from?: string | null
+    /**
+     * - The state the transition was heading to
+     */
+    to?: string | null
+    /**
+     * - The name of the operation involved
+     */
+    operation?: string | null
+    /**
+     * - The error that caused this one
+     */
+    cause?: any
+}
+export type TransitionMapProblem = {
+    /**
+     * - What kind of problem it is
+     */
+    code: 'missing-init' | 'invalid-targets' | 'unknown-target' | 'unreachable' | 'no-terminal-path'
+    /**
+     * - The state with the problem, if any
+     */
+    state: string | null
+    /**
+     * - The target state with the problem, for unknown targets
+     */
+    target: string | null
+    /**
+     * - A description of the problem
+     */
+    message: string
+}
@@ -0,0 +1,51 @@
+/**
+ * Renders a transition map as a Mermaid `stateDiagram-v2`.
+ *
+ * Starts at 'init' and ends at every state without outgoing transitions.
+ *
+ * @param {Object<string, string[]>} transitions - A map of states to arrays of allowed next states
+ * @param {GraphOptions} [options] - What to label and highlight
+ * @returns {string} The Mermaid source
+ * @example
+ * toMermaid({ init: ['running'], running: ['done'], done: [] }, { state: 'running' })
+ */
+export function toMermaid (transitions: {
+    [x: string]: string[]
+}, options?: GraphOptions): string
+/**
+ * Renders a transition map as a Graphviz DOT digraph.
+ *
+ * Transitions along the path are drawn bold, and the current state is filled.
+ *
+ * @param {Object<string, string[]>} transitions - A map of states to arrays of allowed next states
+ * @param {GraphOptions & { name?: string }} [options] - What to label and highlight, and the graph name
+ * @returns {string} The DOT source
+ * @example
+ * toDot({ init: ['running'], running: ['done'], done: [] }, { path: ['init', 'running'] })
+ */
+export function toDot (
+    transitions: {
+        [x: string]: string[]
+    },
+    options?: GraphOptions & {
+        name?: string
+    },
+): string
+export type GraphOptions = {
+    /**
+     * - The state to highlight as current
+     */
+    state?: string
+    /**
+     * - The states visited, in order, to highlight as the path taken
+     */
+    path?: string[]
+    /**
+     * - Transition labels keyed by source state, then target state
+     */
+    labels?: {
+        [x: string]: {
+            [x: string]: string
+        }
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Opens, closes, suspends and resumes many lifecycles in dependency order.
+ *
+ * Members open after the members they depend on, and close before them.
+ * Members on independent branches of the dependency graph run in parallel.
+ *
+ * @example
+ * const group = new LifecycleGroup({ db, cache, http }, {
+ *     cache: ['db'],
+ *     http: ['db', 'cache'],
+ * })
+ *
+ * await group.open() // db, then cache, then http
+ * await group.close() // http, then cache, then db
+ */
+export class LifecycleGroup {
+    /**
+     * Creates a new group of lifecycles.
+     * @param {Object<string, GroupMember>} members - The lifecycles in the group, keyed by name
+     * @param {Object<string, string[]>} [dependencies] - The names of the members each member depends on
+     * @throws {LifecycleError} If a dependency is not a member
+     * @throws {DependencyCycleError} If the dependencies form a cycle
+     */
+    constructor (members: {
+        [x: string]: GroupMember
+    }, dependencies?: {
+        [x: string]: string[]
+    })
+    /**
+     * The state of the group, derived from its members' states.
+     * 'errored' if any member errored, otherwise the interim state of any member in transition,
+     * otherwise the state shared by every member. Members that are opened or resumed count as 'opened'
+     * when mixed, and any other combination is 'mixed'.
+     * @type {string}
+     */
+    get state (): string
+    /**
+     * The members of the group, keyed by name.
+     * @type {Object<string, GroupMember>}
+     */
+    get members (): {
+        [x: string]: GroupMember
+    }
+    /**
+     * Opens every member after the members it depends on.
+     * If a member fails to open, members that already opened are closed in
+     * reverse order and the original error is rethrown.
+     * @returns {Promise<void>} Resolves when every member is opened
+     */
+    open (): Promise<void>
+    /**
+     * Closes every member before the members it depends on.
+     * Every member is closed even if some fail, then the first error is rethrown.
+     * @returns {Promise<void>} Resolves when every member is closed
+     */
+    close (): Promise<void>
+    /**
+     * Suspends every member before the members it depends on.
+     * @returns {Promise<void>} Resolves when every member is suspended
+     */
+    suspend (): Promise<void>
+    /**
+     * Resumes every member after the members it depends on.
+     * @returns {Promise<void>} Resolves when every member is resumed
+     */
+    resume (): Promise<void>
+    /**
+     * Checks if the group state matches any of the specified states.
+     * @param {...string} queryStates - One or more states to check against
+     * @returns {boolean} True if the group state matches any specified state
+     */
+    is (...queryStates: string[]): boolean
+    /**
+     * Checks if the group state does not match any of the specified states.
+     * @param {...string} queryStates - One or more states to check against
+     * @returns {boolean} True if the group state doesn't match any specified state
+     */
+    not (...queryStates: string[]): boolean
+    /**
+     * Closes every member when the group goes out of scope with `await using`,
+     * or is disposed by an `AsyncDisposableStack`.
+     * @returns {Promise<void>} Resolves when every member is closed
+     */
+    [Symbol.asyncDispose] (): Promise<void>
+    #private
+}
+export type GroupMember = {
+    /**
+     * - The member's current state
+     */
+    state: string
+    /**
+     * - Opens the member
+     */
+    open: () => Promise<void>
+    /**
+     * - Closes the member
+     */
+    close: () => Promise<void>
+    /**
+     * - Suspends the member
+     */
+    suspend: () => Promise<void>
+    /**
+     * - Resumes the member
+     */
+    resume: () => Promise<void>
+}
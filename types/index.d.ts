@@ -1,6 +1,10 @@
+export * from './errors.js'
+export { LifecycleGroup } from './group.js'
+export { openedResource } from './resource.js'
+export { gracefulShutdown } from './shutdown.js'
 /**
  * A sequential operation queue that ensures operations are processed one at a time
- * in the order they are added.
+ * in the order they are added, except for urgent operations, which jump ahead of pending ones.
  *
  * This queue is used internally by the Lifecycle manager to ensure that
  * lifecycle operations (open, close, suspend, resume) execute in sequence
@@ -18,141 +22,589 @@ export class Queue {
      *
      * @param {(item: {[key: string]: any}) => Promise<void>} processor - A function that processes each queued item. Must be async or return a Promise.
      * The processor receives an object with properties that depend on the usage context.
-     * In Lifecycle usage, this receives an object with {operation, interimState, toState} properties.
+     * In Lifecycle usage, this receives an object with {operator, interimState, toState} properties.
+     * @param {Object} [options] - Queue configuration
+     * @param {(event: CoalesceEvent) => void} [options.onCoalesce] - Called when an item is coalesced with or cancels another
      */
     constructor (
         processor: (item: {
             [key: string]: any
         }) => Promise<void>,
+        { onCoalesce }?: {
+            onCoalesce?: (event: CoalesceEvent) => void
+        },
     )
+    /**
+     * The items in the queue, starting with the one being processed, if any.
+     * @type {Array<{ item: {[key: string]: any}, callers: number, running: boolean }>}
+     */
+    get pending (): Array<{
+        item: {
+            [key: string]: any
+        }
+        callers: number
+        running: boolean
+    }>
     /**
      * Adds an operation to the processing queue.
      *
-     * Operations are guaranteed to be processed in the order they are added.
+     * Operations are processed in the order they are added. Urgent operations are processed
+     * after the running operation and any earlier urgent ones, ahead of every other pending operation.
      * The returned promise resolves when the operation completes or rejects
      * if the operation fails.
      *
+     * An operation is compared with the one it would be processed right after. If `coalesces` matches
+     * that one, even while it's being processed, they share a single promise instead of being added again.
+     * If `cancels` matches a pending one, both are dropped and resolve with `{ cancelled: true, by }`,
+     * each naming the other.
+     *
      * @param {Object} item - The operation data to be processed
-     * @returns {Promise<void>} A promise that resolves when the operation completes
+     * @param {Object} [options] - How the operation is queued
+     * @param {boolean} [options.urgent] - Whether the operation jumps ahead of pending operations that aren't urgent
+     * @param {(pending: {[key: string]: any}) => boolean} [options.supersedes] - Decides whether a pending operation the urgent one
+     * jumps ahead of is made pointless by it. Those operations are removed without being processed,
+     * and resolve with `{ superseded: true, by: item }`.
+     * @param {(other: {[key: string]: any}) => boolean} [options.coalesces] - Decides whether the operation is identical to another
+     * @param {(other: {[key: string]: any}, before: {[key: string]: any}|null) => boolean} [options.cancels] - Decides whether the operation
+     * and another undo each other, given the item processed right before the other one, if any
+     * @returns {Promise<void|QueueResult>} A promise that resolves when the operation completes
      */
-    enqueue (item: Object): Promise<void>
+    enqueue (item: Object, { urgent, supersedes, coalesces, cancels }?: {
+        urgent?: boolean
+        supersedes?: (pending: {
+            [key: string]: any
+        }) => boolean
+        coalesces?: (other: {
+            [key: string]: any
+        }) => boolean
+        cancels?: (
+            other: {
+                [key: string]: any
+            },
+            before: {
+                [key: string]: any
+            } | null,
+        ) => boolean
+    }): Promise<void | QueueResult>
     #private
 }
+/**
+ * @typedef {Object} QueueEntry
+ * @property {{[key: string]: any}} item - The operation data
+ * @property {Promise<void|QueueResult>} promise - Settles when the operation is processed, superseded or cancelled
+ * @property {Function} resolve - Resolves the promise
+ * @property {Function} reject - Rejects the promise
+ * @property {boolean} urgent - Whether the operation jumped ahead of pending ones
+ * @property {number} callers - How many enqueued operations share the promise
+ */
+/**
+ * The result of a queued operation that was never processed.
+ * @typedef {{ superseded: true, by: {[key: string]: any} }|{ cancelled: true, by: {[key: string]: any} }} QueueResult
+ */
+/**
+ * @typedef {Object} CoalesceEvent
+ * @property {'coalesced'|'cancelled'} kind - Whether the item shares another's promise, or both were cancelled
+ * @property {{[key: string]: any}} item - The item being enqueued
+ * @property {{[key: string]: any}} other - The item it was coalesced with or cancelled
+ * @property {number} callers - How many enqueued operations share the other item's promise
+ */
 /**
  * Manages a state machine with controlled transitions and wait conditions.
  * This class enforces valid state transitions according to a predefined transition map
  * and provides utilities for waiting for specific states to be reached.
  */
 export class StateMachine {
+    /**
+     * Checks a transition map without throwing.
+     * A valid map declares 'init', only targets declared states, reaches every state from 'init',
+     * and has a path from every state to a terminal state, one without outgoing transitions.
+     * @param {Object<string, string[]>} transitions - A map of states to arrays of allowed next states.
+     * @returns {import('./errors.js').TransitionMapProblem[]} Every problem found, empty if the map is valid.
+     * @example
+     * for (const problem of StateMachine.validate(transitions)) {
+     *     console.warn(problem.message)
+     * }
+     */
+    static validate (transitions: {
+        [x: string]: string[]
+    }): import('./errors.js').TransitionMapProblem[]
     /**
      * Creates a new state machine with the specified transition rules.
      * @param {{ [x: string]: string[]; }} transitions - A map of states to arrays of allowed next states.
-     * For example: `{ 'init': ['starting'], 'starting': ['started'] }`
+     * For example: `{ init: ['starting'], starting: ['started'], started: [] }`
+     * @param {Object} [options] - State machine configuration.
+     * @param {string} [options.initial] - The state to start in, defaults to 'init'.
+     * @param {string} [options.name] - A name included in the machine's errors.
+     * @param {Object<string, Object<string, Guard>>} [options.guards] - Predicates that must allow a transition, keyed by source state, then target state.
+     * For example: `{ suspended: { resuming: () => quota > 0 } }`
+     * @param {Object<string, Action>} [options.enter] - Actions run synchronously when entering a state, keyed by state.
+     * @param {Object<string, Action>} [options.exit] - Actions run synchronously when leaving a state, keyed by state.
+     * @throws {TransitionMapError} If the transition map has problems, see `StateMachine.validate()`
      */
     constructor (transitions: {
         [x: string]: string[]
+    }, options?: {
+        initial?: string
+        name?: string
+        guards?: {
+            [x: string]: {
+                [x: string]: Guard
+            }
+        }
+        enter?: {
+            [x: string]: Action
+        }
+        exit?: {
+            [x: string]: Action
+        }
     })
     /**
      * The current state of the state machine.
      * @returns {string} The current state identifier.
      */
     get state (): string
+    /**
+     * The transition map, as a copy.
+     * @type {Object<string, string[]>}
+     */
+    get transitions (): {
+        [x: string]: string[]
+    }
+    /**
+     * Renders the transition map as a Mermaid `stateDiagram-v2`.
+     * @param {DiagramOptions} [options] - What to highlight
+     * @returns {string} The Mermaid source
+     */
+    toMermaid ({ highlight, path }?: DiagramOptions): string
+    /**
+     * Renders the transition map as a Graphviz DOT digraph.
+     * @param {DiagramOptions & { name?: string }} [options] - What to highlight, and the graph name
+     * @returns {string} The DOT source
+     */
+    toDot ({ highlight, path, name }?: DiagramOptions & {
+        name?: string
+    }): string
     /**
      * Checks if a transition to the specified state is allowed from the current state.
+     * Use `check()` to find out why a transition is refused.
      * @param {string} toState - The target state to check.
      * @returns {boolean} True if the transition is allowed, false otherwise.
      */
     allows (toState: string): boolean
+    /**
+     * Checks if a transition to the specified state is allowed from the current state,
+     * and explains why not. A transition must be in the transition map and pass its guard, if any.
+     * @param {string} toState - The target state to check.
+     * @returns {{ allowed: boolean, reason: string|null }} Whether the transition is allowed, and the reason if it isn't.
+     * @example
+     * const { allowed, reason } = machine.check('resuming')
+     * if (!allowed) console.log(reason) // 'Guard refused transition from suspended to resuming: quota exhausted'
+     */
+    check (toState: string): {
+        allowed: boolean
+        reason: string | null
+    }
+    /**
+     * Checks if the specified state can still be reached from the current state
+     * through any sequence of allowed transitions.
+     * @param {string} queryState - The state to check.
+     * @param {string} [fromState] - The state to start from, defaults to the current state.
+     * @returns {boolean} True if the state is the starting state or can be reached from it.
+     */
+    reaches (queryState: string, fromState?: string): boolean
     /**
      * Returns a promise that resolves when the specified state is reached.
      * This is useful for coordinating actions that depend on specific states.
+     * The promise rejects if the state becomes unreachable from the current state,
+     * the timeout expires, or the signal is aborted.
      * @param {string} queryState - The state to wait for.
+     * @param {Object} [options] - Limits on how long to wait.
+     * @param {number} [options.timeout] - How long to wait, in milliseconds.
+     * @param {AbortSignal} [options.signal] - Stops waiting when aborted.
      * @returns {Promise<void>} A promise that resolves when the target state is reached.
      */
-    until (queryState: string): Promise<void>
+    until (queryState: string, { timeout, signal }?: {
+        timeout?: number
+        signal?: AbortSignal
+    }): Promise<void>
     /**
      * Transitions the state machine to a new state if allowed.
+     * Runs the exit action of the current state, then the entry action of the new state.
+     * Pending `until()` calls for the new state resolve, and those for states
+     * that can no longer be reached reject.
      * @param {string} toState - The target state to transition to.
-     * @throws {Error} If the transition is not allowed from the current state.
+     * @param {{ allowed: boolean, reason: string|null }} [checked] - The result of `check(toState)`, if the caller already has it,
+     * so that the guard runs once per transition.
+     * @throws {InvalidTransitionError} If the transition is not allowed from the current state.
+     * @throws {Error} If an action throws.
+     * An exit action that throws prevents the transition. An entry action that throws doesn't:
+     * the machine is in the new state, and subscribers and waiters are notified before the error is rethrown.
      */
-    transition (toState: string): void
+    transition (toState: string, checked?: {
+        allowed: boolean
+        reason: string | null
+    }): void
+    /**
+     * Iterates over state changes as they happen, starting from when it's called.
+     * Changes are buffered until read, so none are missed between iterations.
+     * Iteration finishes after a terminal state, one without outgoing transitions, is reached,
+     * or as soon as the signal is aborted.
+     * @param {Object} [options] - When to stop early
+     * @param {AbortSignal} [options.signal] - Finishes the iteration when aborted, dropping unread changes
+     * @returns {AsyncIterableIterator<StateChange>} The state changes
+     * @example
+     * for await (const { from, to } of machine.changes()) {
+     *     console.log(`${from} -> ${to}`)
+     * }
+     */
+    changes ({ signal }?: {
+        signal?: AbortSignal
+    }): AsyncIterableIterator<StateChange>
+    /**
+     * Rejects pending `until()` promises with the given error.
+     * Used to release waiters when the machine can no longer make progress towards their states on its own.
+     * @param {Error} error - The error to reject the pending waiters with.
+     * @param {string[]} [states] - The states whose waiters are rejected, defaults to every state.
+     */
+    fail (error: Error, states?: string[]): void
     #private
 }
+/**
+ * @typedef {Object} StateChange
+ * @property {string} from - The state before the transition
+ * @property {string} to - The state after the transition
+ */
+/**
+ * Decides whether a guarded transition may happen.
+ * Returns true to allow the transition, or false or a string explaining the refusal.
+ * @callback Guard
+ * @param {string} fromState - The current state
+ * @param {string} toState - The target state
+ * @returns {boolean|string}
+ */
+/**
+ * Runs as part of a transition.
+ * @callback Action
+ * @param {string} fromState - The state being left
+ * @param {string} toState - The state being entered
+ * @returns {void}
+ */
+/**
+ * @typedef {Object} DiagramOptions
+ * @property {boolean} [highlight] - Whether to highlight the current state
+ * @property {string[]} [path] - The states visited, in order, to highlight as the path taken
+ */
 /**
  * Manages asynchronous lifecycles for resources like databases, network connections,
  * or any system requiring controlled startup/shutdown sequences.
+ *
+ * Pass handlers to the constructor, or extend the class and define protected hooks named
+ * after each operation with a leading underscore, like `_open`, `_close` or `_healthCheck`.
+ * Hooks are bound to the instance, and handlers passed to the constructor take precedence.
+ *
+ * @example
+ * class Database extends Lifecycle {
+ *     async _open ({ signal }) {
+ *         this.connection = await connect(this.url, { signal })
+ *     }
+ *
+ *     async _close () {
+ *         await this.connection.end()
+ *     }
+ * }
  * @class
  */
 export default class Lifecycle {
+    /**
+     * Rebuilds a lifecycle from a snapshot and runs the operations needed to reach an equivalent state.
+     *
+     * A snapshot taken in 'init', 'closed' or 'errored' starts in that state without running anything.
+     * Other states are reached with the shortest sequence of operations from 'init', like opening then
+     * suspending for 'suspended'. A snapshot taken during an operation restores the operation's final state.
+     * The restored lifecycle's history and last failure come from the snapshot, not from the operations replayed.
+     *
+     * @param {Snapshot} snapshot - A snapshot from `lifecycle.snapshot()`
+     * @param {Object} [operations] - Lifecycle handler functions, as for the constructor
+     * @param {Object} [options] - Lifecycle configuration, as for the constructor
+     * @returns {Promise<Lifecycle>} Resolves with the restored lifecycle once it reaches the snapshot's state
+     * @throws {LifecycleError} If the snapshot's state can't be reached with the lifecycle's operations,
+     * or replaying them ends in another state, like when a guard refuses one. The lifecycle is closed before throwing.
+     * @throws {OperationFailedError} If a replayed operation fails. The lifecycle is closed before throwing.
+     * @example
+     * const snapshot = JSON.parse(await fs.readFile('consumer.json', 'utf8'))
+     * const consumer = await Lifecycle.restore(snapshot, { open, suspend, resume, close })
+     */
+    static restore (snapshot: Snapshot, operations?: Object, options?: Object): Promise<Lifecycle>
     /**
      * Creates a new resource lifecycle manager.
-     * @param {Object} operations - Lifecycle handler functions
+     * @param {Object} [operations] - Lifecycle handler functions, keyed by operation name.
+     * Operations without a handler use the subclass hook of the same name prefixed with an underscore, if any.
      * @param {Function} [operations.open] - Resource startup logic
      * @param {Function} [operations.close] - Resource shutdown logic
      * @param {Function} [operations.suspend] - Temporary deactivation logic
      * @param {Function} [operations.resume] - Restoration from suspended state
+     * @param {Object} [options] - Lifecycle configuration
+     * @param {Object<string, string[]>} [options.transitions] - Extra or replacement entries for the transition map, merged over the built-in one
+     * @param {Object<string, Partial<OperationDefinition>>} [options.operations] - Extra or replacement operation definitions, merged over the built-in ones.
+     * A method is generated for each custom operation, and its handler is read from `operations` by the same name.
+     * @param {number} [options.timeout] - Default timeout for every attempt of an operation, in milliseconds
+     * @param {RetryPolicy} [options.retry] - Default retry policy for open and resume
+     * @param {number} [options.drainTimeout] - How long suspend and close wait for `use()` callbacks to finish, in milliseconds
+     * @param {HealthOptions} [options.health] - How the `healthCheck` handler from `operations` is run while opened or resumed
+     * @param {IdleOptions} [options.idle] - Suspends the resource when `use()` hasn't been called for a while, and resumes it on the next call
+     * @param {number} [options.historySize] - How many operations `history` keeps, defaults to 50
+     * @param {Object<string, any>} [options.metadata] - User data stored with the lifecycle and included in snapshots
+     * @param {string} [options.name] - A name for the resource, included in errors as `lifecycle`
+     * @param {boolean} [options.strict] - Whether operations that aren't allowed from the current state reject with an
+     * `InvalidTransitionError` instead of resolving without doing anything
+     * @param {Object<string, Object<string, Guard>>} [options.guards] - Guards for transitions, as for `StateMachine`. Operations whose transition
+     * into their interim state is refused are skipped, or rejected in strict mode. Operations whose transition out of it is refused fail.
+     * @param {Object<string, Action>} [options.enter] - Actions run when entering a state, as for `StateMachine`
+     * @param {Object<string, Action>} [options.exit] - Actions run when leaving a state, as for `StateMachine`
+     * @throws {LifecycleError} If an operation refers to a state missing from the transition map, or its name collides with an existing member
+     * @throws {LifecycleError} If the idle timeout isn't a positive, finite number
+     * @throws {TransitionMapError} If the transition map has problems, see `StateMachine.validate()`
+     * @example
+     * const consumer = new Lifecycle({ open, close, drain }, {
+     *     transitions: {
+     *         opened: ['suspending', 'closing', 'draining'],
+     *         draining: ['drained', 'errored'],
+     *         drained: ['closing'],
+     *     },
+     *     operations: {
+     *         drain: { interimState: 'draining', toState: 'drained' },
+     *     },
+     * })
+     *
+     * await consumer.open()
+     * await consumer.drain()
      */
-    constructor (operations: {
+    constructor (operations?: {
         open?: Function
         close?: Function
         suspend?: Function
         resume?: Function
+    }, options?: {
+        transitions?: {
+            [x: string]: string[]
+        }
+        operations?: {
+            [x: string]: Partial<OperationDefinition>
+        }
+        timeout?: number
+        retry?: RetryPolicy
+        drainTimeout?: number
+        health?: HealthOptions
+        idle?: IdleOptions
+        historySize?: number
+        metadata?: {
+            [x: string]: any
+        }
+        name?: string
+        strict?: boolean
+        guards?: {
+            [x: string]: {
+                [x: string]: Guard
+            }
+        }
+        enter?: {
+            [x: string]: Action
+        }
+        exit?: {
+            [x: string]: Action
+        }
     })
+    /**
+     * User data stored with the lifecycle and included in snapshots.
+     * @type {Object<string, any>}
+     */
+    metadata: {
+        [x: string]: any
+    }
+    /**
+     * The name given to the lifecycle, included in its errors.
+     * @type {string|null}
+     */
+    get name (): string | null
     /**
      * The current state of the resource lifecycle.
-     * @type {string} One of: init, opening, opened, suspending, suspended, resuming, closing, closed
+     * @type {string} One of: init, opening, opened, suspending, suspended, resuming, closing, closed, errored,
+     * or a custom state from the transition map
      */
     get state (): string
+    /**
+     * The result of the latest health checks.
+     * 'unknown' until the first check after opening or resuming, then 'healthy' or 'unhealthy'.
+     * @type {string}
+     */
+    get health (): string
+    /**
+     * The most recent operations, oldest first, up to `historySize` entries.
+     * Operations skipped because their transition wasn't allowed are not recorded.
+     * @type {HistoryEntry[]}
+     */
+    get history (): HistoryEntry[]
+    /**
+     * The queued operations, starting with the running one, if any.
+     * Identical calls coalesced into one operation are counted in its `callers`.
+     * @type {PendingOperation[]}
+     */
+    get pending (): PendingOperation[]
+    /**
+     * The error that moved the lifecycle to the 'errored' state.
+     * Cleared when the next operation starts from 'errored'.
+     * @type {Error|null}
+     */
+    get error (): Error | null
+    /**
+     * The name of the operation that moved the lifecycle to the 'errored' state.
+     * Cleared when the next operation starts from 'errored'.
+     * @type {string|null}
+     */
+    get failedOperation (): string | null
     /**
      * Executes a specific operation with custom transition states.
-     * @param {string} operator - The operation name to execute (open, close, suspend, resume)
-     * @param {string} interimState - The intermediate state during operation
-     * @param {string} toState - The final state after successful completion
-     * @returns {Promise<void>} Resolves when the operation completes
-     * @throws {Error} If the operator name doesn't exist
+     * @param {string} operator - The operation name to execute (open, close, suspend, resume, or a custom operation)
+     * @param {string} [interimState] - The intermediate state during operation, defaults to the operation's definition
+     * @param {string} [toState] - The final state after successful completion, defaults to the operation's definition
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when the operation completes, or when superseded, cancelled or aborted
+     * @throws {UnknownOperationError} If the operator name doesn't exist
      */
-    transition (operator: string, interimState: string, toState: string): Promise<void>
+    transition (
+        operator: string,
+        interimState?: string,
+        toState?: string,
+    ): Promise<void | Superseded | Cancelled | Aborted>
     /**
      * Starts the resource initialization process.
      * Transitions from 'init' through 'opening' to 'opened'.
      * Operations are queued and processed in order.
-     * @returns {Promise<void>} Resolves when opened
+     * @param {...any} args - Arguments passed to the open handler after its context, like the configuration to open with
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when opened, or when superseded, cancelled or aborted by `close()`
+     * @example
+     * await db.open({ host: 'replica.internal' })
      */
-    open (): Promise<void>
+    open (...args: any[]): Promise<void | Superseded | Cancelled | Aborted>
     /**
      * Initiates permanent resource shutdown.
      * Transitions through 'closing' to 'closed'.
-     * Safe to call from most states.
-     * @returns {Promise<void>} Resolves when closed
+     * Safe to call from most states. Aborts the signal of a running open or resume.
+     * Urgent: runs right after the running operation, and supersedes every pending operation.
+     * @param {...any} args - Arguments passed to the close handler after its context
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when closed
      */
-    close (): Promise<void>
+    close (...args: any[]): Promise<void | Superseded | Cancelled | Aborted>
     /**
      * Starts temporary resource deactivation.
      * Transitions through 'suspending' to 'suspended'.
-     * @returns {Promise<void>} Resolves when suspended
+     * @param {...any} args - Arguments passed to the suspend handler after its context
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when suspended, or when superseded or cancelled
      */
-    suspend (): Promise<void>
+    suspend (...args: any[]): Promise<void | Superseded | Cancelled | Aborted>
     /**
      * Restores resource from suspended state.
      * Transitions through 'resuming' to 'resumed'.
-     * @returns {Promise<void>} Resolves when resumed
+     * @param {...any} args - Arguments passed to the resume handler after its context
+     * @returns {Promise<void|Superseded|Cancelled|Aborted>} Resolves when resumed, or when superseded, cancelled or aborted by `close()`
+     */
+    resume (...args: any[]): Promise<void | Superseded | Cancelled | Aborted>
+    /**
+     * Calls operations with options that apply to those calls only.
+     * @param {CallOptions} options - Options for the calls
+     * @returns {Object<string, (...args: any[]) => Promise<void|Superseded|Cancelled|Aborted>>} Every operation, by name,
+     * taking the same arguments as the lifecycle's methods
+     * @example
+     * await resource.with({ timeout: 5000, retry: { attempts: 5 } }).open(config)
      */
-    resume (): Promise<void>
+    with ({ timeout, retry }?: CallOptions): {
+        [x: string]: (...args: any[]) => Promise<void | Superseded | Cancelled | Aborted>
+    }
     /**
      * Waits for the resource to reach a specific state.
      * Useful for coordinating complex sequences of lifecycle operations.
+     * Rejects if the state becomes unreachable, an operation leading to it fails, the timeout expires or the signal is aborted.
      * @param {string} queryState - The desired state to wait for
+     * @param {Object} [options] - Limits on how long to wait
+     * @param {number} [options.timeout] - How long to wait, in milliseconds
+     * @param {AbortSignal} [options.signal] - Stops waiting when aborted
      * @returns {Promise<void>} Resolves when target state is reached
      * @example
      * resource.open()              // Start opening
      * await resource.until('opened') // Wait for completion
      */
-    until (queryState: string): Promise<void>
+    until (queryState: string, options?: {
+        timeout?: number
+        signal?: AbortSignal
+    }): Promise<void>
+    /**
+     * Runs a callback while the resource is usable and tracks it as in-flight work.
+     *
+     * Waits for the resource to be opened or resumed before running the callback.
+     * Suspend and close wait for in-flight callbacks to finish before running their operation.
+     * Calls made while suspending are held until the resource resumes, and calls made
+     * once the resource is heading for a state it can't be used from again, like while closing, reject.
+     * Calls waiting or made while the lifecycle is 'errored' reject with its error as `cause`.
+     *
+     * With an idle policy, a call made while suspended resumes the resource first.
+     *
+     * @template T
+     * @param {() => T|Promise<T>} callback - The work to run
+     * @returns {Promise<T>} Resolves with the callback's result
+     * @throws {LifecycleError} If the resource can no longer be opened or resumed, or is errored
+     * @example
+     * const rows = await db.use(() => connection.query('select 1'))
+     */
+    use<T> (callback: () => T | Promise<T>): Promise<T>
+    /**
+     * Registers a listener to be notified of state transitions.
+     * Listeners registered without a state are called for every transition.
+     * The 'retry' event is called with a {@link RetryEvent} before each retry,
+     * the 'health' event with a {@link HealthEvent} when the health status changes, and
+     * the 'coalesce' event with a {@link CoalescedEvent} when a call is coalesced with or cancels a queued operation.
+     * Errors thrown by listeners are ignored so they can't break a transition.
+     * @param {string|Listener} state - The state or event to listen for, or a listener for every state
+     * @param {Listener} [listener] - Function called with a transition event
+     * @returns {() => void} Function that removes the listener
+     * @example
+     * const off = resource.on((event) => {
+     *     console.log(`${event.operation}: ${event.from} -> ${event.to}`)
+     * })
+     *
+     * resource.on('closed', () => console.log('closed'))
+     *
+     * off()
+     */
+    on (state: string | Listener, listener?: Listener): () => void
+    /**
+     * Removes a listener registered with `on()` or `once()`.
+     * @param {string|Listener} state - The state the listener was registered for, or a listener for every state
+     * @param {Listener} [listener] - The listener to remove
+     * @returns {void}
+     */
+    off (state: string | Listener, listener?: Listener): void
     /**
-     * Registers a callback to be notified of state transitions.
-     * @param {Function} onTransition - Function called with each new state
+     * Registers a listener that is removed after its first call.
+     * @param {string|Listener} state - The state to listen for, or a listener for every state
+     * @param {Listener} [listener] - Function called with a transition event
+     * @returns {() => void} Function that removes the listener
      */
-    on (onTransition: Function): void
+    once (state: string | Listener, listener?: Listener): () => void
+    /**
+     * Iterates over transitions as they happen, starting from when it's called.
+     * Transitions are buffered until read, so none are missed between iterations.
+     * Iteration finishes after the lifecycle reaches 'closed', or another state without outgoing transitions,
+     * or as soon as the signal is aborted.
+     * @param {Object} [options] - When to stop early
+     * @param {AbortSignal} [options.signal] - Finishes the iteration when aborted, dropping unread transitions
+     * @returns {AsyncIterableIterator<TransitionEvent>} The transition events
+     * @example
+     * for await (const { from, to, operation } of resource.changes({ signal })) {
+     *     console.log(`${operation}: ${from} -> ${to}`)
+     * }
+     */
+    changes ({ signal }?: {
+        signal?: AbortSignal
+    }): AsyncIterableIterator<TransitionEvent>
     /**
      * Checks if the current state matches any of the specified states.
      * @param {...string} queryStates - One or more states to check against
@@ -173,10 +625,536 @@ export default class Lifecycle {
      * }
      */
     not (...queryStates: string[]): boolean
+    /**
+     * Summarizes the lifecycle's history.
+     * @returns {HistorySummary} Time spent in each state, including the current one, and the most recent failure
+     * @example
+     * const { durations, lastFailure } = resource.summary()
+     * console.log(`opened for ${durations.opened}ms, suspended for ${durations.suspended}ms`)
+     */
+    summary (): HistorySummary
+    /**
+     * Renders the lifecycle's transitions as a Mermaid `stateDiagram-v2`, including custom states and operations.
+     * Transitions into an operation's interim state are labelled with the operation's name.
+     * @param {Object} [options] - What to highlight
+     * @param {boolean} [options.highlight] - Whether to highlight the current state and the states visited in the history
+     * @returns {string} The Mermaid source
+     * @example
+     * await fs.writeFile('docs/lifecycle.mmd', resource.toMermaid())
+     */
+    toMermaid ({ highlight }?: {
+        highlight?: boolean
+    }): string
+    /**
+     * Renders the lifecycle's transitions as a Graphviz DOT digraph, including custom states and operations.
+     * Transitions into an operation's interim state are labelled with the operation's name.
+     * @param {Object} [options] - What to highlight, and the graph name
+     * @param {boolean} [options.highlight] - Whether to highlight the current state and the transitions taken in the history
+     * @param {string} [options.name] - The name of the digraph, defaults to the lifecycle's name or 'lifecycle'
+     * @returns {string} The DOT source
+     * @example
+     * await fs.writeFile('docs/lifecycle.dot', resource.toDot({ highlight: true }))
+     */
+    toDot ({ highlight, name }?: {
+        highlight?: boolean
+        name?: string
+    }): string
+    /**
+     * Captures the lifecycle's state, history and metadata as JSON-serializable data.
+     * Pass the snapshot to `Lifecycle.restore()` to rebuild an equivalent lifecycle, like after a restart.
+     * @returns {Snapshot} The snapshot
+     * @example
+     * await fs.writeFile('consumer.json', JSON.stringify(consumer.snapshot()))
+     */
+    snapshot (): Snapshot
     /**
      * Resets the resource to initial state.
      * Useful for restarting after completion or recovering from errors.
+     * Listeners are notified of the step back to 'init' as a transition by the 'reset' operation.
      */
     reset (): void
+    /**
+     * Closes the resource when it goes out of scope with `await using`, or is disposed by an `AsyncDisposableStack`.
+     * Does nothing if the resource was never opened or is already closed.
+     * @returns {Promise<void>} Resolves when closed
+     * @example
+     * await using db = await openedResource(new Lifecycle({ open, close }))
+     */
+    [Symbol.asyncDispose] (): Promise<void>
     #private
 }
+export type QueueEntry = {
+    /**
+     * - The operation data
+     */
+    item: {
+        [key: string]: any
+    }
+    /**
+     * - Settles when the operation is processed, superseded or cancelled
+     */
+    promise: Promise<void | QueueResult>
+    /**
+     * - Resolves the promise
+     */
+    resolve: Function
+    /**
+     * - Rejects the promise
+     */
+    reject: Function
+    /**
+     * - Whether the operation jumped ahead of pending ones
+     */
+    urgent: boolean
+    /**
+     * - How many enqueued operations share the promise
+     */
+    callers: number
+}
+/**
+ * The result of a queued operation that was never processed.
+ */
+export type QueueResult = {
+    superseded: true
+    by: {
+        [key: string]: any
+    }
+} | {
+    cancelled: true
+    by: {
+        [key: string]: any
+    }
+}
+export type CoalesceEvent = {
+    /**
+     * - Whether the item shares another's promise, or both were cancelled
+     */
+    kind: 'coalesced' | 'cancelled'
+    /**
+     * - The item being enqueued
+     */
+    item: {
+        [key: string]: any
+    }
+    /**
+     * - The item it was coalesced with or cancelled
+     */
+    other: {
+        [key: string]: any
+    }
+    /**
+     * - How many enqueued operations share the other item's promise
+     */
+    callers: number
+}
+export type StateChange = {
+    /**
+     * - The state before the transition
+     */
+    from: string
+    /**
+     * - The state after the transition
+     */
+    to: string
+}
+/**
+ * Decides whether a guarded transition may happen.
+ * Returns true to allow the transition, or false or a string explaining the refusal.
+ */
+export type Guard = (fromState: string, toState: string) => boolean | string
+/**
+ * Runs as part of a transition.
+ */
+export type Action = (fromState: string, toState: string) => void
+export type DiagramOptions = {
+    /**
+     * - Whether to highlight the current state
+     */
+    highlight?: boolean
+    /**
+     * - The states visited, in order, to highlight as the path taken
+     */
+    path?: string[]
+}
+export type OperationDefinition = {
+    /**
+     * - The state held while the operation runs
+     */
+    interimState: string
+    /**
+     * - The state reached when the operation succeeds
+     */
+    toState: string
+    /**
+     * - How long each attempt of the operation may run, in milliseconds
+     */
+    timeout?: number
+    /**
+     * - How failed attempts are retried
+     */
+    retry?: RetryPolicy
+    /**
+     * - Interim states whose running operation is aborted when this operation is called
+     */
+    interrupts?: string[]
+    /**
+     * - Whether the operation jumps ahead of pending operations, superseding those it makes pointless
+     */
+    urgent?: boolean
+    /**
+     * - Operations that this one undoes, so that when one of them is pending right before it, neither runs
+     */
+    cancels?: string[]
+    /**
+     * - Whether the operation waits for in-flight `use()` callbacks to finish before running
+     */
+    drain?: boolean
+    /**
+     * - How long to wait for in-flight `use()` callbacks, in milliseconds
+     */
+    drainTimeout?: number
+}
+export type RetryPolicy = {
+    /**
+     * - The maximum number of attempts, including the first
+     */
+    attempts?: number
+    /**
+     * - The delay before the first retry, in milliseconds
+     */
+    delay?: number
+    /**
+     * - The multiplier applied to the delay after each retry
+     */
+    factor?: number
+    /**
+     * - The longest delay between attempts, in milliseconds
+     */
+    maxDelay?: number
+    /**
+     * - The fraction of each delay, from 0 to 1, that is randomized
+     */
+    jitter?: number
+    /**
+     * - Decides whether a failed attempt is retried
+     */
+    shouldRetry?: (error: Error, attempt: number) => boolean
+}
+export type RetryEvent = {
+    /**
+     * - The name of the operation being retried
+     */
+    operation: string
+    /**
+     * - The number of the attempt that failed, starting at 1
+     */
+    attempt: number
+    /**
+     * - The error thrown by the failed attempt
+     */
+    error: Error
+    /**
+     * - How long until the next attempt, in milliseconds
+     */
+    delay: number
+}
+export type HealthOptions = {
+    /**
+     * - How often to run the health check while opened or resumed, in milliseconds
+     */
+    interval?: number
+    /**
+     * - How many consecutive failed checks make the resource unhealthy
+     */
+    threshold?: number
+    /**
+     * - What to do when the resource becomes unhealthy:
+     * only emit a 'health' event, suspend it, close and reopen it, or move it to 'errored'
+     */
+    policy?: 'emit' | 'suspend' | 'restart' | 'error'
+}
+export type HistoryEntry = {
+    /**
+     * - The name of the operation
+     */
+    operation: string
+    /**
+     * - The state before the operation started
+     */
+    from: string
+    /**
+     * - The state after the operation finished
+     */
+    to: string
+    /**
+     * - When the operation started, in milliseconds since the epoch
+     */
+    startedAt: number
+    /**
+     * - When the operation finished, in milliseconds since the epoch
+     */
+    endedAt: number
+    /**
+     * - How long the operation took, in milliseconds
+     */
+    duration: number
+    /**
+     * - Whether the operation succeeded, failed, or was aborted by another operation like `close()`
+     */
+    outcome: 'success' | 'error' | 'aborted'
+    /**
+     * - The error the operation failed with, if any
+     */
+    error: Error | null
+}
+export type SerializedError = {
+    /**
+     * - The error's name
+     */
+    name: string
+    /**
+     * - The error's message
+     */
+    message: string
+}
+export type Snapshot = {
+    /**
+     * - The snapshot format version
+     */
+    version: number
+    /**
+     * - The lifecycle's state when the snapshot was taken
+     */
+    state: string
+    /**
+     * - The error that moved the lifecycle to 'errored', if any
+     */
+    error: SerializedError | null
+    /**
+     * - The operation that moved the lifecycle to 'errored', if any
+     */
+    failedOperation: string | null
+    /**
+     * - The lifecycle's user data
+     */
+    metadata: {
+        [x: string]: any
+    }
+    /**
+     * - The lifecycle's recent operations
+     */
+    history: Array<
+        Omit<HistoryEntry, 'error'> & {
+            error: SerializedError | null
+        }
+    >
+}
+export type HistorySummary = {
+    /**
+     * - Milliseconds spent in each state, including the current one
+     */
+    durations: {
+        [x: string]: number
+    }
+    /**
+     * - The number of operations in the history
+     */
+    operations: number
+    /**
+     * - The most recent failed operation, even if it's no longer in the history
+     */
+    lastFailure: HistoryEntry | null
+}
+export type IdleOptions = {
+    /**
+     * - How long the resource may go without `use()` calls before it's suspended, in milliseconds
+     */
+    timeout: number
+    /**
+     * - Whether a `use()` call resumes a suspended resource
+     */
+    resume?: boolean
+}
+export type HealthEvent = {
+    /**
+     * - The new health status, 'healthy' or 'unhealthy'
+     */
+    health: string
+    /**
+     * - The number of consecutive failed checks
+     */
+    failures: number
+    /**
+     * - The error from the latest failed check
+     */
+    error: Error | null
+    /**
+     * - When the status changed, in milliseconds since the epoch
+     */
+    timestamp: number
+}
+export type OperationContext = {
+    /**
+     * - The lifecycle running the operation
+     */
+    lifecycle: Lifecycle
+    /**
+     * - The name of the operation
+     */
+    operation: string
+    /**
+     * - The state the operation started from
+     */
+    from: string
+    /**
+     * - The state the operation leads to when it succeeds
+     */
+    to: string
+    /**
+     * - Aborted when the attempt times out or the operation is interrupted, like by `close()` during `open()`
+     */
+    signal: AbortSignal
+    /**
+     * - The number of the current attempt, starting at 1
+     */
+    attempt: number
+}
+export type CallOptions = {
+    /**
+     * - How long each attempt may run, in milliseconds, overriding the configured timeout
+     */
+    timeout?: number
+    /**
+     * - How failed attempts are retried, overriding the configured policy
+     */
+    retry?: RetryPolicy
+}
+export type QueueItem = {
+    /**
+     * - The name of the operation to execute
+     */
+    operator: string
+    /**
+     * - The state to transition to before executing the operation
+     */
+    interimState: string
+    /**
+     * - The state to transition to after successful execution
+     */
+    toState: string
+    /**
+     * - How long each attempt may run, in milliseconds
+     */
+    timeout?: number
+    /**
+     * - How failed attempts are retried
+     */
+    retry?: RetryPolicy
+    /**
+     * - Arguments passed to the operation after its context
+     */
+    args: any[]
+}
+/**
+ * The result of a queued operation that never ran, because an urgent operation made it pointless.
+ */
+export type Superseded = {
+    /**
+     * - Always true
+     */
+    superseded: true
+    /**
+     * - The name of the urgent operation
+     */
+    by: string
+}
+/**
+ * The result of a queued operation that never ran, because it and another operation undid each other.
+ */
+export type Cancelled = {
+    /**
+     * - Always true
+     */
+    cancelled: true
+    /**
+     * - The name of the other operation
+     */
+    by: string
+}
+/**
+ * The result of an operation that was aborted by another operation, like an open interrupted by `close()`.
+ */
+export type Aborted = {
+    /**
+     * - Always true
+     */
+    aborted: true
+    /**
+     * - The name of the interrupting operation
+     */
+    by: string
+}
+export type PendingOperation = {
+    /**
+     * - The name of the operation
+     */
+    operation: string
+    /**
+     * - How many calls share the operation's promise
+     */
+    callers: number
+    /**
+     * - Whether the operation is running, rather than waiting
+     */
+    running: boolean
+}
+export type CoalescedEvent = {
+    /**
+     * - Whether the call shares a queued operation's promise, or both were cancelled
+     */
+    kind: 'coalesced' | 'cancelled'
+    /**
+     * - The name of the operation called
+     */
+    operation: string
+    /**
+     * - The name of the queued operation
+     */
+    with: string
+    /**
+     * - How many calls share the queued operation's promise
+     */
+    callers: number
+    /**
+     * - When it happened, in milliseconds since the epoch
+     */
+    timestamp: number
+}
+export type TransitionEvent = {
+    /**
+     * - The state before the transition
+     */
+    from: string
+    /**
+     * - The state after the transition
+     */
+    to: string
+    /**
+     * - The name of the operation causing the transition
+     */
+    operation: string
+    /**
+     * - When the operation started, in milliseconds since the epoch
+     */
+    startedAt: number
+    /**
+     * - When the transition happened, in milliseconds since the epoch
+     */
+    timestamp: number
+    /**
+     * - The error that caused the transition, if any
+     */
+    error: Error | null
+}
+export type Listener = (event: any) => void
+export { toDot, toMermaid } from './graph.js'
@@ -0,0 +1,25 @@
+/**
+ * Opens a lifecycle or group and returns it, ready for `await using`.
+ *
+ * The resource is closed when the scope exits, even if an error is thrown inside it.
+ * If opening fails, the resource is closed before the error is rethrown, so nothing leaks.
+ *
+ * @template {Openable} T
+ * @param {T} resource - A lifecycle, a group, or anything with `open()`, `close()` and `[Symbol.asyncDispose]()` methods
+ * @returns {Promise<T>} Resolves with the opened resource
+ * @example
+ * await using db = await openedResource(new Lifecycle({ open, close }))
+ *
+ * // or, for several resources
+ * await using stack = new AsyncDisposableStack()
+ * const db = stack.use(await openedResource(database))
+ * const cache = stack.use(await openedResource(redis))
+ */
+export function openedResource<T extends Openable> (resource: T): Promise<T>
+/**
+ * A resource that can be opened, closed, and disposed at the end of a scope.
+ */
+export type Openable = {
+    open: () => Promise<unknown>
+    close: () => Promise<unknown>
+} & AsyncDisposable
@@ -0,0 +1,47 @@
+/**
+ * Closes resources when the process is asked to stop, then exits.
+ *
+ * Shutdown starts on any of the given signals, when the event loop empties (`beforeExit`),
+ * or on an uncaught exception. Every resource is closed in parallel, then the process exits
+ * with a code that says whether closing succeeded, failed or missed the deadline.
+ * When the event loop empties, an exit code the program already set with `process.exitCode` is kept.
+ * A second signal during shutdown exits immediately.
+ *
+ * @param {Closeable|Closeable[]} resources - A lifecycle, group, or anything with a `close()` method, or an array of them
+ * @param {Object} [options] - Shutdown configuration
+ * @param {string[]} [options.signals] - The signals that start shutdown, defaults to SIGINT and SIGTERM
+ * @param {number} [options.timeout] - How long closing may take before the process exits anyway, in milliseconds, defaults to 10000
+ * @param {Partial<ExitCodes>} [options.exitCodes] - The exit codes for each outcome
+ * @returns {() => void} Function that detaches the shutdown handlers from the process
+ * @example
+ * const detach = gracefulShutdown([db, server], { timeout: 5000 })
+ */
+export function gracefulShutdown (resources: Closeable | Closeable[], options?: {
+    signals?: string[]
+    timeout?: number
+    exitCodes?: Partial<ExitCodes>
+}): () => void
+export type Closeable = {
+    /**
+     * - Closes the resource
+     */
+    close: () => Promise<void>
+}
+export type ExitCodes = {
+    /**
+     * - Every resource closed, defaults to 0
+     */
+    success: number
+    /**
+     * - A resource failed to close, or shutdown started with an uncaught exception, defaults to 1
+     */
+    failure: number
+    /**
+     * - Closing took longer than the timeout, defaults to 124
+     */
+    timeout: number
+    /**
+     * - A second signal arrived during shutdown, defaults to 130
+     */
+    forced: number
+}